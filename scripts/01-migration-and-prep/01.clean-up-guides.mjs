@@ -22,7 +22,7 @@ const DRY_RUN = process.argv.includes("--dry-run");
 const REPORT_ARG = process.argv.find(a => a.startsWith("--report="));
 const REPORT_PATH = REPORT_ARG ? REPORT_ARG.split("=")[1] : "cleanup-report.csv";
 
-const API = process.env.README_API || "https://dash.readme.com/api/v1";
+const API = process.env.README_BASE_URL || process.env.README_API || "https://dash.readme.com/api/v1";
 const KEY = process.env.README_API_KEY;
 
 if (!KEY) {
@@ -10,7 +10,7 @@ import * as yaml from 'js-yaml';
 dotenv.config();
 const API_KEY = process.env.README_API_KEY_DOCS_SYNC;
 
-const BASE_URL = 'https://dash.readme.com/api/v1';
+const BASE_URL = process.env.README_BASE_URL || 'https://dash.readme.com/api/v1';
 const DOCS_DIR = 'docs';
 const CATEGORY_YML_FILE = '_category.yml';
 const MANIFEST_FILE = path.join(DOCS_DIR, '.readme-structure.json');
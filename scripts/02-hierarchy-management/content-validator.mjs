@@ -0,0 +1,94 @@
+// scripts/hierarchy-manager/content-validator.mjs
+
+import fs from 'fs-extra';
+import path from 'path';
+import matter from 'gray-matter';
+
+import { ASSETS_DIR } from './utils.mjs';
+import { findAnchors } from './link-references.mjs';
+import { findReferences, isLinkReference, resolveLocalPath } from '../03-sync/asset-references.js';
+
+// Checks the references inside the doc bodies, the same way the sync resolves them:
+// - BROKEN LINK: a relative .md/.mdx link or a doc:slug link to a doc that does not exist (or has no slug)
+// - BROKEN ANCHOR: a #anchor that matches no heading of the target doc (or of the doc itself)
+// - MISSING IMAGE / MISSING ASSET: an image, or a link into docs/assets, to a file that is not in docs/assets
+// - HIDDEN LINK: a visible doc linking to a hidden doc, which readers cannot open
+// Paths starting with "/" are relative to the repository root; others to the doc's folder.
+
+const isDocPath = (p) => /\.mdx?$/i.test(p);
+const isInsideAssetsDir = (absPath) => !path.relative(ASSETS_DIR, absPath).startsWith('..');
+
+async function loadBody(doc) {
+  const src = await fs.readFile(doc.abs, 'utf8');
+  const { content } = matter(src);
+  // Number of front matter lines above the body, so findings point to lines of the file.
+  const lineOffset = src.split('\n').length - content.split('\n').length;
+  return { content, lineOffset };
+}
+
+export async function validateContent(docsIndex, errors) {
+  const bodies = new Map();
+  for (const doc of docsIndex.byPath.values()) {
+    bodies.set(doc.abs, await loadBody(doc));
+  }
+
+  const anchorsCache = new Map();
+  const anchorsOf = (doc) => {
+    if (!anchorsCache.has(doc.abs)) anchorsCache.set(doc.abs, findAnchors(bodies.get(doc.abs).content));
+    return anchorsCache.get(doc.abs);
+  };
+
+  for (const doc of docsIndex.byPath.values()) {
+    const { content, lineOffset } = bodies.get(doc.abs);
+
+    for (const ref of findReferences(content)) {
+      const where = `${path.relative(process.cwd(), doc.abs)}:${ref.line + lineOffset}`;
+      const hashIndex = ref.path.indexOf('#');
+      const anchor = hashIndex === -1 ? '' : ref.path.slice(hashIndex + 1);
+
+      if (ref.path.startsWith('#')) {
+        if (anchor && !anchorsOf(doc).has(anchor)) {
+          errors.push(`BROKEN ANCHOR at ${where}: "${ref.path}" matches no heading in this doc.`);
+        }
+        continue;
+      }
+
+      let target = null;
+      if (/^doc:/i.test(ref.path)) {
+        const slug = ref.path.slice(4).replace(/[?#].*$/, '');
+        target = docsIndex.bySlug.get(slug);
+        if (!target) {
+          errors.push(`BROKEN LINK at ${where}: "${ref.path}" points to slug "${slug}", but no doc with that slug exists.`);
+          continue;
+        }
+      } else {
+        const absPath = resolveLocalPath(doc.abs, ref.path);
+
+        if (!isLinkReference(ref) || isInsideAssetsDir(absPath)) {
+          const label = isLinkReference(ref) ? 'MISSING ASSET' : 'MISSING IMAGE';
+          if (!isInsideAssetsDir(absPath)) {
+            errors.push(`${label} at ${where}: "${ref.path}" points outside ${path.relative(process.cwd(), ASSETS_DIR)}.`);
+          } else if (!(await fs.pathExists(absPath))) {
+            errors.push(`${label} at ${where}: "${ref.path}" points to a missing file (${path.relative(process.cwd(), absPath)}).`);
+          }
+          continue;
+        }
+        if (!isDocPath(absPath)) continue;
+
+        target = docsIndex.byPath.get(absPath);
+        if (!target) {
+          const reason = (await fs.pathExists(absPath)) ? 'a doc without a slug' : 'a missing doc';
+          errors.push(`BROKEN LINK at ${where}: "${ref.path}" points to ${reason} (${path.relative(process.cwd(), absPath)}).`);
+          continue;
+        }
+      }
+
+      if (anchor && !anchorsOf(target).has(anchor)) {
+        errors.push(`BROKEN ANCHOR at ${where}: "${ref.path}" matches no heading in "${target.slug}".`);
+      }
+      if (target.hidden === true && doc.hidden !== true) {
+        errors.push(`HIDDEN LINK at ${where}: "${ref.path}" points to "${target.slug}", which is hidden.`);
+      }
+    }
+  }
+}
@@ -10,10 +10,12 @@ import {
     DOCS_ROOT, 
     STRUCTURE_MANIFEST, 
     MAX_DOC_DEPTH, 
+    NON_GUIDE_FOLDERS, 
     log, 
     warn, 
     DRY_RUN 
 } from './utils.mjs'; 
+import { validateContent } from './content-validator.mjs';
 
 // ... (loadCategories, loadDocsIndex, and other functions are unchanged) ...
 
@@ -60,7 +62,7 @@ export async function loadDocsIndex() {
   const files = await fg(['**/*.md', '**/*.mdx'], {
     cwd: DOCS_ROOT,
     onlyFiles: true,
-    ignore: ['**/_category.yml', '**/.readme-structure.json'],
+    ignore: ['**/_category.yml', '**/.readme-structure.json', ...NON_GUIDE_FOLDERS.map(f => `${f}/**`)],
   });
 
   const bySlug = new Map();
@@ -246,7 +248,7 @@ async function validateManifestConsistency(docsIndex, categories, errors) {
 }
 
 export async function validateStructure(categories, docsIndex, options = {}) {
-  const { skipManifestCheck = false } = options;
+  const { skipManifestCheck = false, skipContentCheck = false } = options;
   const errors = [];
   const docs = docsIndex.bySlug;
   const { parentOf, depthOf } = buildAncestryMap(docs);
@@ -291,6 +293,11 @@ export async function validateStructure(categories, docsIndex, options = {}) {
     await validateManifestConsistency(docsIndex, categories, errors);
   }
 
+  // Links, anchors, and images inside the doc bodies (see content-validator.mjs).
+  if (!skipContentCheck) {
+    await validateContent(docsIndex, errors);
+  }
+
   if (errors.length > 0) {
     const errorString = "\n" + errors.map((e, i) => `   ${i + 1}. ${e}`).join('\n');
     throw new Error(`Structure Validation Failed:\n${errorString}\n\nFIX ALL ERRORS. For manifest mismatches, running 'Rebuild manifest' is recommended.`);
@@ -311,7 +318,7 @@ function buildNestedForManifestWithParent(tree, currentParentSlug = null) {
 }
 
 export async function rebuildManifest(docsIndex, categories) {
-  await validateStructure(categories, docsIndex, { skipManifestCheck: true }); 
+  await validateStructure(categories, docsIndex, { skipManifestCheck: true, skipContentCheck: true }); 
 
   const docs = [...docsIndex.bySlug.values()];
   const cats = categories.list;
@@ -0,0 +1,36 @@
+// scripts/hierarchy-manager/link-references.mjs
+
+import { findCodeRanges } from '../03-sync/asset-references.js';
+
+// Heading anchors of a Markdown/MDX body, for the validator's #anchor checks. Links and images are
+// found by the sync script's parser (03-sync/asset-references.js), so the validator checks exactly
+// the references the sync rewrites.
+
+// GitHub-style heading anchors: lowercase, punctuation removed, spaces turned into dashes,
+// and "-1", "-2"... appended to repeated headings. Explicit id="..." and name="..." attributes
+// of HTML tags are anchors too.
+export function findAnchors(content) {
+  const codeRanges = findCodeRanges(content);
+  const inCode = (index) => codeRanges.some(([start, end]) => index >= start && index < end);
+  const anchors = new Set();
+  const counts = new Map();
+
+  const addHeading = (text) => {
+    const plain = text
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[`*_~]/g, '');
+    const base = plain.trim().toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, '').replace(/\s/g, '-');
+    const count = counts.get(base) || 0;
+    counts.set(base, count + 1);
+    anchors.add(count === 0 ? base : `${base}-${count}`);
+  };
+
+  for (const match of content.matchAll(/^ {0,3}#{1,6}[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$|^ {0,3}(\S.*)\n {0,3}(?:=+|-+)[ \t]*$/gm)) {
+    if (!inCode(match.index)) addHeading(match[1] ?? match[2]);
+  }
+  for (const match of content.matchAll(/<[A-Za-z][\w.:-]*\s[^>]*?\b(?:id|name)=\\?["']([^"'\\\n]+)\\?["']/g)) {
+    if (!inCode(match.index)) anchors.add(match[1]);
+  }
+  return anchors;
+}
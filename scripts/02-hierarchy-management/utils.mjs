@@ -17,6 +17,9 @@ const __dirname = path.dirname(__filename);
 
 export const DOCS_ROOT = path.resolve(process.cwd(), 'docs');
 export const STRUCTURE_MANIFEST = path.join(DOCS_ROOT, '.readme-structure.json'); 
+export const ASSETS_DIR = path.join(DOCS_ROOT, 'assets');
+// Folders of docs/ the sync publishes outside the guides hierarchy (custom pages, changelog).
+export const NON_GUIDE_FOLDERS = ['_pages', '_changelog'];
 export const MAX_DOC_DEPTH = 3; // Max depth for doc nesting (parent/child/grandchild)
 
 const README_BASE_URL = process.env.README_BASE_URL || 'https://dash.readme.com/api/v1';
@@ -2,20 +2,106 @@
 
 const axios = require('axios');
 const { CONFIG, DRY_RUN } = require('./config.js');
+const utils = require('./utils.js');
 
 const authHeader = `Basic ${Buffer.from(`${CONFIG.README_API_KEY}:`).toString('base64')}`;
 
+// ReadMe version targeted by every call. null means the project's default version.
+let targetVersion = CONFIG.README_VERSION || null;
+
+function setTargetVersion(version) {
+  targetVersion = version || null;
+}
+
+function getTargetVersion() {
+  return targetVersion;
+}
+
+// Called before every write. The sync lock uses it to stop writing once another run took it over.
+let writeGuard = null;
+
+function setWriteGuard(guard) {
+  writeGuard = guard || null;
+}
+
+// --- ERRORS & RETRIES ---
+
+// 429 and 503 mean the request was not processed, so they are safe to retry for any method.
+// Other 5xx and dropped connections may have reached ReadMe, so they are only retried for
+// idempotent methods: retrying a POST could create the same doc twice.
+const ALWAYS_RETRYABLE_STATUSES = new Set([429, 503]);
+const IDEMPOTENT_RETRYABLE_STATUSES = new Set([408, 500, 502, 504]);
+const ALWAYS_RETRYABLE_NETWORK_CODES = new Set(['ECONNREFUSED', 'EAI_AGAIN']);
+const IDEMPOTENT_RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'ERR_NETWORK']);
+
+class ApiError extends Error {
+  constructor(message, { status = null, data = null, method, url, retryable = false } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.method = method;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+function toApiError(e, method, url) {
+  const isIdempotent = method !== 'post';
+  if (e.response) {
+    const { status, data } = e.response;
+    const retryable = ALWAYS_RETRYABLE_STATUSES.has(status) || (isIdempotent && IDEMPOTENT_RETRYABLE_STATUSES.has(status));
+    return new ApiError(`API Error ${status} on ${method} ${url}: ${JSON.stringify(data)}`, { status, data, method, url, retryable });
+  }
+  const retryable = ALWAYS_RETRYABLE_NETWORK_CODES.has(e.code) || (isIdempotent && IDEMPOTENT_RETRYABLE_NETWORK_CODES.has(e.code));
+  return new ApiError(`Network Error on ${method} ${url}: ${e.message}`, { method, url, retryable });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Shared across concurrent calls: when ReadMe says the rate limit is exhausted, every call waits.
+let rateLimitedUntil = 0;
+
+// Reads how long ReadMe asks us to wait, from Retry-After (seconds or HTTP date)
+// or X-RateLimit-Reset (epoch seconds or seconds from now). Returns null if neither is usable.
+function getServerRequestedDelay(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  const reset = Number(headers['x-ratelimit-reset']);
+  if (reset > 0) {
+    return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+  }
+  return null;
+}
+
+// Jittered exponential backoff: between 50% and 100% of base * 2^attempt, capped.
+function getBackoffDelay(attempt) {
+  const exponential = Math.min(CONFIG.API_RETRY_MAX_DELAY_MS, CONFIG.API_RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+function noteRateLimitHeaders(headers = {}) {
+  if (headers['x-ratelimit-remaining'] === undefined || Number(headers['x-ratelimit-remaining']) > 0) return;
+  const delay = getServerRequestedDelay({ 'x-ratelimit-reset': headers['x-ratelimit-reset'] });
+  if (delay) rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + Math.min(delay, CONFIG.API_RETRY_MAX_DELAY_MS));
+}
+
+// --- API CALL ---
+
 async function throttledApiCall(method, endpoint, payload = null, headers = {}) {
   const normalizedMethod = method.toLowerCase();
   const isWriteOperation = ['post', 'put', 'delete'].includes(normalizedMethod);
 
   if (DRY_RUN && isWriteOperation) {
-    console.log(`[DRY-RUN] ${normalizedMethod.toUpperCase()} ${endpoint}`);
+    console.log(`[DRY-RUN] ${normalizedMethod.toUpperCase()} ${endpoint}${targetVersion ? ` (version ${targetVersion})` : ''}`);
     return { data: null, status: normalizedMethod === 'post' ? 201 : 200 };
   }
 
-  await new Promise((resolve) => setTimeout(resolve, CONFIG.API_CALL_DELAY_MS));
-
   const isBodylessRequest = ['get', 'delete'].includes(normalizedMethod);
   const baseURL = (CONFIG.README_BASE_URL || 'https://dash.readme.com/api/v1').replace(/\/$/, '');
   const url = `${baseURL}${endpoint.startsWith('/') ? endpoint : '/' + endpoint}`;
@@ -26,6 +112,7 @@ async function throttledApiCall(method, endpoint, payload = null, headers = {})
     headers: {
       Authorization: authHeader,
       Accept: 'application/json',
+      ...(targetVersion ? { 'x-readme-version': targetVersion } : {}),
       ...headers,
     },
     data: isBodylessRequest ? null : payload,
@@ -39,18 +126,39 @@ async function throttledApiCall(method, endpoint, payload = null, headers = {})
     config.headers['Content-Type'] = 'application/json';
   }
 
-  try {
-    const res = await axios(config);
-    return res;
-  } catch (e) {
-    if (e.response) {
-      if (e.response.status === 404 && normalizedMethod === 'delete') {
+  for (let attempt = 0; ; attempt++) {
+    if (rateLimitedUntil > Date.now()) await sleep(rateLimitedUntil - Date.now());
+    await sleep(CONFIG.API_CALL_DELAY_MS);
+    if (isWriteOperation && writeGuard) writeGuard();
+
+    try {
+      const res = await axios(config);
+      noteRateLimitHeaders(res.headers);
+      return res;
+    } catch (e) {
+      if (e.response && e.response.status === 404 && normalizedMethod === 'delete') {
         return { data: e.response.data, status: 404 };
       }
-      throw new Error(`API Error ${e.response.status} on ${method} ${url}: ${JSON.stringify(e.response.data)}`);
+
+      const apiError = toApiError(e, normalizedMethod, url);
+      if (!apiError.retryable || attempt >= CONFIG.API_MAX_RETRIES) throw apiError;
+
+      const requestedDelay = e.response ? getServerRequestedDelay(e.response.headers) : null;
+      const delay = Math.min(CONFIG.API_RETRY_MAX_DELAY_MS, requestedDelay ?? getBackoffDelay(attempt));
+      if (apiError.status === 429) rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+
+      utils.warn(
+        `${apiError.status ? `API ${apiError.status}` : `Network error (${e.code || e.message})`} on ` +
+        `${normalizedMethod.toUpperCase()} ${endpoint}. Retrying in ${(delay / 1000).toFixed(1)}s ` +
+        `(attempt ${attempt + 1}/${CONFIG.API_MAX_RETRIES})...`
+      );
+      await sleep(delay);
     }
-    throw e;
   }
 }
 
-exports.throttledApiCall = throttledApiCall;
\ No newline at end of file
+exports.throttledApiCall = throttledApiCall;
+exports.setTargetVersion = setTargetVersion;
+exports.getTargetVersion = getTargetVersion;
+exports.setWriteGuard = setWriteGuard;
+exports.ApiError = ApiError;
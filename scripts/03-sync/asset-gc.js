@@ -0,0 +1,140 @@
+// scripts/sync/asset-gc.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const fg = require('fast-glob');
+const config = require('./config.js');
+const utils = require('./utils.js');
+const assetManager = require('./asset-manager.js');
+const apiClient = require('./api-client.js');
+
+// Assets are only deleted by a sync when git reports the local file as deleted. The gc
+// cross-references the docs, docs/assets, the hash manifest, and the storage listing to find:
+// - unreferenced: local assets that no doc references (deleted locally, from the manifest, and from the storage)
+// - unresolved: doc references to files that do not exist (reported only)
+// - stale: manifest entries without a local file (deleted from the manifest and the storage)
+// - lost: manifest entries whose storage object is gone (dropped so the next sync uploads them again)
+// - untracked: storage objects the manifest does not know, e.g. uploaded by a run whose manifest save failed
+//   (superseded versions of hashed assets are known, and left to the retention period)
+// The manifest, the ledger, the sync lock, the redirect map, and snapshots share the storage but are never collected.
+// Only the asset folder and manifest of the target ReadMe version are collected: other versions'
+// docs embed their own copies, which this checkout knows nothing about.
+
+const isProtectedKey = (key) =>
+  key === config.CONFIG.S3_MANIFEST_KEY ||
+  key === assetManager.getManifestKey() ||
+  key === config.CONFIG.S3_LEDGER_KEY ||
+  key === config.CONFIG.S3_LOCK_KEY ||
+  key === config.CONFIG.S3_REDIRECTS_KEY ||
+  key.startsWith(`${config.CONFIG.S3_SNAPSHOT_PREFIX}/`);
+
+async function collectDocReferences() {
+  const referenced = new Set();
+  const unresolved = [];
+  for (const absPath of await utils.findMarkdownFiles(config.CONFIG.DOCS_ROOT)) {
+    const { fm, content } = await utils.readDoc(absPath);
+    const docRecord = { slug: fm.slug?.toLowerCase(), content: content.trim(), absPath };
+    const result = assetManager.findReferencedAssets(docRecord);
+    result.keys.forEach(key => referenced.add(key));
+    result.unresolved.forEach(ref => unresolved.push({ file: path.relative(process.cwd(), absPath), ...ref }));
+  }
+  return { referenced, unresolved };
+}
+
+async function findOrphans(hashManifest) {
+  const localKeys = new Set(await fg('**/*', { cwd: config.CONFIG.ASSETS_DIR, onlyFiles: true }));
+  const { referenced, unresolved } = await collectDocReferences();
+  const storageKeys = new Set((await assetManager.listBucketKeys(`${assetManager.getAssetFolder()}/`)).filter(key => !isProtectedKey(key)));
+  const manifestKeys = Object.keys(hashManifest);
+  const knownStorageKeys = new Set(manifestKeys.flatMap(key => assetManager.getStorageKeys(hashManifest, key)));
+
+  return {
+    unreferenced: [...localKeys].filter(key => !referenced.has(key)).sort(),
+    unresolved,
+    stale: manifestKeys.filter(key => !localKeys.has(key)).sort(),
+    lost: manifestKeys.filter(key => localKeys.has(key) && !storageKeys.has(assetManager.getStorageKeys(hashManifest, key)[0])).sort(),
+    untracked: [...storageKeys].filter(key => !knownStorageKeys.has(key)).sort(),
+  };
+}
+
+function printOrphans(orphans) {
+  const sections = [
+    ['Local assets no doc references', orphans.unreferenced],
+    ['Doc references to missing assets (fix the docs)', orphans.unresolved.map(u => `${u.file}:${u.line}: ${u.message}`)],
+    ['Manifest entries without a local file', orphans.stale],
+    ['Manifest entries missing from the storage', orphans.lost],
+    ['Storage objects missing from the manifest', orphans.untracked],
+  ];
+  for (const [title, items] of sections) {
+    utils.log(`\n${title}: ${items.length}`);
+    items.forEach(item => utils.log(`   - ${item}`));
+  }
+}
+
+// Runs the gc. Returns the number of storage keys that could not be deleted.
+async function collectGarbage() {
+  if (!assetManager.isBucketEnabled()) {
+    throw new Error('No asset storage configured (ASSET_STORAGE or S3_BUCKET_NAME).');
+  }
+  const scope = `ReadMe version ${apiClient.getTargetVersion() || '(default)'}`;
+  utils.log(`ℹ️ Collecting the assets of ${scope}: ${assetManager.getAssetFolder()}/ and ${assetManager.getManifestKey()}.`);
+  const hashManifest = await assetManager.fetchExternalManifest();
+  utils.log('🔎 Cross-referencing docs, docs/assets, the hash manifest, and the storage...');
+  const orphans = await findOrphans(hashManifest);
+  printOrphans(orphans);
+
+  const keysToDelete = [...new Set(
+    [...orphans.unreferenced, ...orphans.stale].flatMap(key => assetManager.getStorageKeys(hashManifest, key)).concat(orphans.untracked)
+  )];
+  const manifestEntriesToDrop = [...orphans.unreferenced, ...orphans.stale, ...orphans.lost].filter(key => hashManifest[key]);
+  if (keysToDelete.length === 0 && manifestEntriesToDrop.length === 0) {
+    utils.log('\n✅ Nothing to collect.');
+    return 0;
+  }
+
+  if (config.DRY_RUN) {
+    utils.log('\n[DRY-RUN] Nothing was deleted.');
+    return 0;
+  }
+  // Several branches can sync to the same version (e.g., release/1.* or every unmapped branch), and
+  // this checkout only knows the references of its own docs.
+  utils.warn(
+    `Other ReadMe versions are not affected. Assets of ${scope} that only another branch syncing to it references ` +
+    'are deleted too, so run the gc from the branch that syncs to this version.'
+  );
+  const summary = `Delete ${orphans.unreferenced.length} local files, ${keysToDelete.length} storage objects, and ${manifestEntriesToDrop.length} manifest entries of ${scope}?`;
+  if (!config.ASSUME_YES && !(await utils.confirm(`\n${summary}`))) {
+    utils.log(process.stdin.isTTY ? 'Aborted. Nothing was deleted.' : 'Nothing was deleted. Pass --yes to delete without a prompt.');
+    return 0;
+  }
+
+  utils.log(`\n🗑️ Deleting ${keysToDelete.length} storage objects...`);
+  const result = await assetManager.deleteBucketKeys(keysToDelete);
+  const deletedKeys = new Set(result.deleted);
+  result.errors.forEach(e => utils.warn(`   - Failed to delete storage key ${e.key}: ${e.message}`));
+
+  // A manifest entry is only dropped once its object is gone, so a failed deletion is retried next time.
+  let manifestUpdated = false;
+  for (const key of manifestEntriesToDrop) {
+    if (orphans.lost.includes(key) || deletedKeys.has(assetManager.getStorageKeys(hashManifest, key)[0])) {
+      delete hashManifest[key];
+      manifestUpdated = true;
+    }
+  }
+  if (manifestUpdated) await assetManager.saveExternalManifest(hashManifest);
+
+  // Without the local file, the next sync does not upload the asset again. Files whose
+  // storage object could not be deleted are kept, as they are still in the manifest.
+  const localDeletions = orphans.unreferenced.filter(key => !hashManifest[key]);
+  for (const key of localDeletions) {
+    const filePath = path.join(config.CONFIG.ASSETS_DIR, key);
+    await fs.remove(filePath);
+    utils.log(`   - Deleted local file: ${path.relative(process.cwd(), filePath)}`);
+  }
+  if (localDeletions.length > 0) utils.log('   Commit the deleted local files.');
+
+  utils.log(`✅ Deleted ${deletedKeys.size} storage objects.`);
+  return result.errors.length;
+}
+
+exports.collectGarbage = collectGarbage;
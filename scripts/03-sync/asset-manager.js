@@ -1,31 +1,25 @@
 // scripts/sync/asset-manager.js
 
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
 const path = require('path');
-const os = require('os');
 const fs = require('fs-extra');
 const fg = require('fast-glob');
 let pMap = require('p-map');
 if (typeof pMap !== 'function') { pMap = pMap.default; }
 const config = require('./config.js');
 const utils = require('./utils.js');
+const apiClient = require('./api-client.js');
+const { isDeepStrictEqual } = require('util');
+const { createStorage, VersionConflictError } = require('./storage/index.js');
+const assetReferences = require('./asset-references.js');
 
 // --- INITIALIZATION ---
 
-let s3Client;
-let s3Enabled = false;
+// The provider is created in dry-run mode too, for read-only calls.
+// See storage/index.js for the interface every provider implements.
+const storage = createStorage(config.CONFIG);
 
-if (config.CONFIG.S3_BUCKET_NAME && config.CONFIG.S3_PUBLIC_URL_BASE) {
-  s3Enabled = true;
-  if (!config.DRY_RUN) {
-    // SDK will automatically pick up credentials from the environment (IAM role)
-    // as per your CI/CD setup.
-    s3Client = new S3Client({
-      region: config.CONFIG.S3_REGION,
-    });
-  }
-} else {
-  utils.warn('S3_BUCKET_NAME or S3_PUBLIC_URL_BASE missing. Image processing will be skipped/fail.');
+if (!storage) {
+  utils.warn('No asset storage configured. Image processing will be skipped/fail.');
 }
 
 // --- MIME Type Helper ---
@@ -37,132 +31,283 @@ const getMimeType = (filename) => {
     '.gif': 'image/gif',
     '.svg': 'image/svg+xml',
     '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.tgz': 'application/gzip',
+    '.tar': 'application/x-tar',
+    '.csv': 'text/csv',
+    '.txt': 'text/plain',
+    '.json': 'application/json',
+    '.yaml': 'application/yaml',
+    '.yml': 'application/yaml',
+    '.xml': 'application/xml',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mov': 'video/quicktime',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
   };
   const ext = path.extname(filename).toLowerCase();
   return mimeTypes[ext] || 'application/octet-stream';
 };
 
+// --- VERSION NAMESPACE ---
+
+// Each ReadMe version has its own asset folder and hash manifest, so a branch synced to one version
+// never overwrites or deletes the files that another version's docs embed. The default version keeps
+// the configured names, so existing storages need no migration. For v2.0, with the defaults:
+// "readme-assets-v2.0/" and "readme-assets-v2.0/image-hashes-manifest.json".
+const versionSuffix = () => {
+  const version = apiClient.getTargetVersion();
+  return version ? `-${version.replace(/[^\w.-]/g, '_')}` : '';
+};
+
+const getAssetFolder = () => `${config.CONFIG.S3_ASSET_FOLDER}${versionSuffix()}`;
+
+const getManifestKey = () => (versionSuffix()
+  ? `${getAssetFolder()}/${path.posix.basename(config.CONFIG.S3_MANIFEST_KEY)}`
+  : config.CONFIG.S3_MANIFEST_KEY);
+
 // --- EXTERNAL MANIFEST ---
 
+// The manifest as read at the start of the run: { manifest, version }. Saves are conditional on
+// this version, and the copy tells which entries this run changed when merging with another run.
+let manifestBase = null;
+
 async function fetchExternalManifest() {
-  if (!s3Enabled) return {};
-  utils.log('   - Fetching external hash manifest from S3...');
+  if (!storage) return {};
+  // Reading the manifest is safe in dry-run mode too, so previews use the real asset URLs.
+  utils.log(`   - Fetching external hash manifest ${getManifestKey()} from ${storage.name}...`);
 
-  if (config.DRY_RUN) {
-    utils.log('   [DRY-RUN] Would fetch manifest from S3.');
-    return {}; // Return empty for dry run to avoid complexity
+  let stored;
+  try {
+    stored = await storage.getJsonVersioned(getManifestKey());
+  } catch (e) {
+    // Starting from an empty manifest would re-upload every asset and overwrite the real one.
+    throw new Error(`Failed to read the hash manifest from ${storage.name}: ${e.message}`);
   }
+  if (stored === null) utils.log('   - Manifest not found. Starting with an empty manifest.');
 
-  for (let attempt = 1; attempt <= config.CONFIG.MANIFEST_MAX_RETRIES; attempt++) {
-    try {
-      if (attempt > 1) {
-        utils.log(`   [INFO] Retrying manifest fetch (Attempt ${attempt})...`);
-        await new Promise(resolve => setTimeout(resolve, config.CONFIG.MANIFEST_RETRY_DELAY_MS));
-      }
+  const manifest = stored ? stored.object : {};
+  manifestBase = { manifest: structuredClone(manifest), version: stored ? stored.version : null };
+  return manifest;
+}
 
-      const command = new GetObjectCommand({
-        Bucket: config.CONFIG.S3_BUCKET_NAME,
-        Key: config.CONFIG.S3_MANIFEST_KEY,
-      });
-      const response = await s3Client.send(command);
-      const bodyString = await response.Body.transformToString('utf-8');
-      const parsedManifest = JSON.parse(bodyString);
+// Applies another run's changes to `manifest`: entries this run left as they were in `base`
+// take their value from `latest`; entries this run added, changed, or deleted win.
+function mergeManifest(manifest, base, latest) {
+  const keys = new Set([...Object.keys(manifest), ...Object.keys(base), ...Object.keys(latest)]);
+  for (const key of keys) {
+    if (!isDeepStrictEqual(manifest[key], base[key])) continue;
+    if (latest[key]) manifest[key] = latest[key];
+    else delete manifest[key];
+  }
+}
 
-      if (Object.keys(parsedManifest).length > 0) return parsedManifest;
+// The write only succeeds if nobody saved the manifest since it was read. Otherwise, it is read
+// again, merged with this run's changes, and saved again.
+async function saveExternalManifest(manifestObject) {
+  if (config.DRY_RUN || !storage) {
+    utils.log(`   [DRY-RUN/SKIPPED] Would upload updated hash manifest.`);
+    return;
+  }
+  utils.log(`   - Uploading updated hash manifest to ${storage.name}...`);
+  let base = manifestBase || { manifest: {}, version: undefined };
 
-      if (attempt < config.CONFIG.MANIFEST_MAX_RETRIES) {
-        utils.warn(`   [WARNING] Manifest is empty/stale. Retrying...`);
-        continue;
-      }
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await storage.putJson(getManifestKey(), manifestObject, { ifVersion: base.version });
+      manifestBase = null;
+      utils.log(`   - Manifest successfully pushed to ${storage.name}.`);
+      return;
     } catch (e) {
-      if (e.name === 'NoSuchKey') {
-        utils.log('   - Manifest not found. Starting with an empty manifest.');
-        return {};
+      if (!(e instanceof VersionConflictError) || attempt >= config.CONFIG.MANIFEST_SAVE_MAX_ATTEMPTS) {
+        utils.err(`Failed to upload manifest to ${storage.name}: ${e.message}`);
+        throw new Error('Critical: Failed to save external manifest.');
       }
-      utils.err(`Could not execute manifest fetch (Attempt ${attempt}): ${e.message}`);
     }
+
+    utils.warn(`   - The manifest was changed by another run. Merging its changes and retrying (attempt ${attempt + 1})...`);
+    const latest = await storage.getJsonVersioned(getManifestKey());
+    const latestManifest = latest ? latest.object : {};
+    mergeManifest(manifestObject, base.manifest, latestManifest);
+    base = { manifest: structuredClone(latestManifest), version: latest ? latest.version : null };
   }
+}
 
-  utils.log('   - Failed to load non-empty manifest. Starting with an empty manifest.');
-  return {};
+// --- GENERIC BUCKET JSON ---
+
+const isBucketEnabled = () => !!storage;
+
+// Returns the parsed JSON object stored under `key`, or null if it does not exist.
+async function fetchBucketJson(key) {
+  if (!storage) return null;
+  try {
+    return await storage.getJson(key);
+  } catch (e) {
+    throw new Error(`Failed to read ${key} from ${storage.name}: ${e.message}`);
+  }
 }
 
-async function saveExternalManifest(manifestObject) {
-  if (config.DRY_RUN || !s3Enabled) {
-    utils.log(`   [DRY-RUN/SKIPPED] Would upload updated hash manifest to S3.`);
+// Like fetchBucketJson(), with the version needed for a conditional save: { object, version }.
+async function fetchBucketJsonVersioned(key) {
+  if (!storage) return null;
+  try {
+    return await storage.getJsonVersioned(key);
+  } catch (e) {
+    throw new Error(`Failed to read ${key} from ${storage.name}: ${e.message}`);
+  }
+}
+
+// With { ifVersion }, rejects with a VersionConflictError if the object changed since it was read.
+async function saveBucketJson(key, object, { ifVersion } = {}) {
+  if (!storage) return;
+  if (config.DRY_RUN) {
+    utils.log(`   [DRY-RUN] Would upload ${key} to ${storage.name}.`);
     return;
   }
-  const manifestContent = JSON.stringify(manifestObject, null, 2);
-  utils.log('   - Uploading updated hash manifest to S3...');
   try {
-    const command = new PutObjectCommand({
-      Bucket: config.CONFIG.S3_BUCKET_NAME,
-      Key: config.CONFIG.S3_MANIFEST_KEY,
-      Body: manifestContent,
-      ContentType: 'application/json',
-      CacheControl: 'no-cache, no-store, must-revalidate',
-    });
-    await s3Client.send(command);
-    utils.log('   - Manifest successfully pushed to S3.');
+    await storage.putJson(key, object, { ifVersion });
   } catch (e) {
-    utils.err(`Failed to upload manifest to S3: ${e.message}`);
-    throw new Error('Critical: Failed to save external manifest.');
+    if (e instanceof VersionConflictError) throw e;
+    throw new Error(`Failed to upload ${key} to ${storage.name}: ${e.message}`);
   }
 }
 
+// Lists every storage key under prefix, or [] if no storage is configured.
+async function listBucketKeys(prefix) {
+  if (!storage) return [];
+  try {
+    return await storage.list(prefix);
+  } catch (e) {
+    throw new Error(`Failed to list ${prefix} in ${storage.name}: ${e.message}`);
+  }
+}
+
+// Deletes storage keys as is. Resolves to { deleted, errors } like the providers' delete().
+async function deleteBucketKeys(keys) {
+  if (!storage || keys.length === 0) return { deleted: [], errors: [] };
+  return storage.delete(keys);
+}
+
 // --- ASSET SYNC ---
 
+// With ASSET_HASHED_KEYS, a changed file gets a new key and URL, so it can be cached forever.
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "screens/login.png" -> "readme-assets/screens/login.3f2a9c0d1e.png" with hashed keys,
+// "readme-assets/screens/login.png" otherwise, in the folder of the target version.
+function toStorageKey(manifestKey, hash) {
+  if (!config.CONFIG.ASSET_HASHED_KEYS) return `${getAssetFolder()}/${manifestKey}`;
+  const ext = path.posix.extname(manifestKey);
+  return `${getAssetFolder()}/${manifestKey.slice(0, manifestKey.length - ext.length)}.${hash.slice(0, 10)}${ext}`;
+}
+
+// Every storage key a manifest entry owns: the current one first, then superseded versions.
+// Entries written before hashed keys existed have no `key`.
+function getStorageKeys(hashManifest, manifestKey) {
+  const entry = hashManifest[manifestKey];
+  const currentKey = entry?.key || `${getAssetFolder()}/${manifestKey}`;
+  return [currentKey, ...(entry?.superseded || []).map(s => s.key)];
+}
+
 async function deleteS3Assets(deletedAssetFileNames, hashManifest) {
-  if (!s3Enabled || deletedAssetFileNames.length === 0) return false;
+  if (!storage || deletedAssetFileNames.length === 0) return false;
   const toDelete = deletedAssetFileNames.filter(filename => hashManifest[filename]);
   if (toDelete.length === 0) return false;
 
-  utils.log(`🗑️ Deleting ${toDelete.length} assets from S3.`);
-  const keysToDelete = toDelete.map(filename => `${config.CONFIG.S3_ASSET_FOLDER}/${filename}`);
+  utils.log(`🗑️ Deleting ${toDelete.length} assets from ${storage.name}.`);
+  const keysToDelete = toDelete.flatMap(filename => getStorageKeys(hashManifest, filename));
 
   if (config.DRY_RUN) {
-    utils.log(`   [DRY-RUN] Would delete S3 Keys: ${keysToDelete.join(', ')}`);
+    utils.log(`   [DRY-RUN] Would delete storage keys: ${keysToDelete.join(', ')}`);
     return false;
   }
 
   try {
-    const command = new DeleteObjectsCommand({
-      Bucket: config.CONFIG.S3_BUCKET_NAME,
-      Delete: {
-        Objects: keysToDelete.map(key => ({ Key: key })),
-        Quiet: false, // We want results back
-      },
-    });
-    const result = await s3Client.send(command);
+    const result = await storage.delete(keysToDelete);
     let manifestUpdated = false;
 
-    if (result.Deleted && result.Deleted.length > 0) {
-      const deletedKeys = new Set(result.Deleted.map(d => d.Key));
-      toDelete.forEach(filename => {
-        const s3Key = `${config.CONFIG.S3_ASSET_FOLDER}/${filename}`;
-        if (deletedKeys.has(s3Key)) {
-          delete hashManifest[filename];
-          manifestUpdated = true;
-          utils.log(`   - Deleted: ${filename} (Key: ${s3Key})`);
-        }
-      });
-    }
+    const deletedKeys = new Set(result.deleted);
+    toDelete.forEach(filename => {
+      const [storageKey] = getStorageKeys(hashManifest, filename);
+      if (deletedKeys.has(storageKey)) {
+        delete hashManifest[filename];
+        manifestUpdated = true;
+        utils.log(`   - Deleted: ${filename} (Key: ${storageKey})`);
+      }
+    });
 
-    if (result.Errors && result.Errors.length > 0) {
-      result.Errors.forEach(err => {
-        utils.warn(`   - Failed to delete S3 Key ${err.Key}: ${err.Message}`);
-      });
-    }
+    result.errors.forEach(err => {
+      utils.warn(`   - Failed to delete storage key ${err.key}: ${err.message}`);
+    });
     
     return manifestUpdated;
   } catch (e) {
-    utils.warn(`Failed to delete assets from S3: ${e.message}`);
+    utils.warn(`Failed to delete assets from ${storage.name}: ${e.message}`);
+    return false;
+  }
+}
+
+// Deletes superseded versions of hashed assets once they are older than ASSET_RETENTION_DAYS.
+// They are kept until then because published docs and cached pages may still point to them.
+async function purgeSupersededAssets(hashManifest) {
+  const cutoff = Date.now() - config.CONFIG.ASSET_RETENTION_DAYS * DAY_MS;
+  const expired = Object.entries(hashManifest).flatMap(([manifestKey, entry]) =>
+    (entry.superseded || []).filter(s => Date.parse(s.supersededAt) <= cutoff).map(s => ({ manifestKey, key: s.key }))
+  );
+  if (expired.length === 0) return false;
+
+  utils.log(`🗑️ Deleting ${expired.length} superseded asset versions older than ${config.CONFIG.ASSET_RETENTION_DAYS} days.`);
+  if (config.DRY_RUN) {
+    utils.log(`   [DRY-RUN] Would delete storage keys: ${expired.map(e => e.key).join(', ')}`);
+    return false;
+  }
+
+  let result;
+  try {
+    result = await storage.delete(expired.map(e => e.key));
+  } catch (e) {
+    utils.warn(`Failed to delete superseded assets from ${storage.name}: ${e.message}`);
     return false;
   }
+  result.errors.forEach(err => utils.warn(`   - Failed to delete storage key ${err.key}: ${err.message}`));
+
+  const deletedKeys = new Set(result.deleted);
+  for (const manifestKey of new Set(expired.map(e => e.manifestKey))) {
+    const entry = hashManifest[manifestKey];
+    entry.superseded = entry.superseded.filter(s => !deletedKeys.has(s.key));
+    if (entry.superseded.length === 0) delete entry.superseded;
+  }
+  return deletedKeys.size > 0;
+}
+
+// Some providers store a key under another object id (Cloudinary drops the extension of images),
+// so two local files such as logo.png and logo.jpg could overwrite each other. Fails before any upload.
+function assertNoObjectIdCollisions(assetFiles) {
+  if (!storage.objectId) return;
+  const fileByObjectId = new Map();
+  const collisions = [];
+  for (const fileName of assetFiles) {
+    const storageKey = toStorageKey(fileName, utils.getFileHash(path.join(config.CONFIG.ASSETS_DIR, fileName)));
+    const objectId = storage.objectId(storageKey);
+    if (fileByObjectId.has(objectId)) collisions.push(`   - ${fileByObjectId.get(objectId)} and ${fileName} are both stored as ${objectId}`);
+    else fileByObjectId.set(objectId, fileName);
+  }
+  if (collisions.length > 0) {
+    throw new Error(`${collisions.length} asset(s) would overwrite another one in ${storage.name}. Rename them.\n${collisions.join('\n')}`);
+  }
 }
 
 async function syncAllLocalAssets(hashManifest) {
-  if (!s3Enabled) return false;
+  if (!storage) return false;
   if (!fs.existsSync(config.CONFIG.ASSETS_DIR)) {
     utils.log('ℹ️ Asset directory not found. Skipping image hash scan.');
     return false;
@@ -170,15 +315,15 @@ async function syncAllLocalAssets(hashManifest) {
 
   let manifestUpdated = false;
   let uploadedCount = 0;
-  const allAssetFiles = await fg('**/*.{png,jpg,jpeg,gif,svg,webp}', { cwd: config.CONFIG.ASSETS_DIR, onlyFiles: true });
+  // Every file is an asset: images, but also downloads such as PDFs, ZIPs, CSVs, or videos.
+  const allAssetFiles = (await fg('**/*', { cwd: config.CONFIG.ASSETS_DIR, onlyFiles: true })).map(file => file.replace(/\\/g, '/'));
+  assertNoObjectIdCollisions(allAssetFiles);
   utils.log(`🖼️ Starting hash scan against ${allAssetFiles.length} local assets...`);
 
-  const s3UrlBase = config.CONFIG.S3_PUBLIC_URL_BASE.replace(/\/$/, '');
-
   await pMap(
     allAssetFiles,
     async (relativeFileName) => {
-      // Use forward slashes for cross-platform compatibility in S3 keys
+      // Use forward slashes for cross-platform compatibility in storage keys
       const imageFileName = relativeFileName.replace(/\\/g, '/');
       const imageAbsPath = path.join(config.CONFIG.ASSETS_DIR, imageFileName);
       
@@ -186,35 +331,25 @@ async function syncAllLocalAssets(hashManifest) {
       const manifestKey = imageFileName; 
       const currentHash = utils.getFileHash(imageAbsPath);
       const manifestEntry = hashManifest[manifestKey];
+      const storageKey = toStorageKey(manifestKey, currentHash);
+      const [previousKey] = getStorageKeys(hashManifest, manifestKey);
 
-      if (manifestEntry && currentHash === manifestEntry.hash) return;
+      // A changed ASSET_HASHED_KEYS setting moves unchanged files to their new key too.
+      if (manifestEntry && currentHash === manifestEntry.hash && previousKey === storageKey) return;
       
-      const s3Key = `${config.CONFIG.S3_ASSET_FOLDER}/${imageFileName}`;
-      let s3Url;
+      let publicUrl;
 
       if (config.DRY_RUN) {
-        s3Url = `${s3UrlBase}/${s3Key}`;
-        utils.log(`   [DRY-RUN] Would upload ${imageFileName} to S3 Key: ${s3Key}`);
+        publicUrl = storage.publicUrl(storageKey);
+        utils.log(`   [DRY-RUN] Would upload ${imageFileName} to storage key: ${storageKey}`);
       } else {
         try {
           const fileContent = await fs.readFile(imageAbsPath);
-          const mimeType = getMimeType(imageFileName);
-
-          const command = new PutObjectCommand({
-            Bucket: config.CONFIG.S3_BUCKET_NAME,
-            Key: s3Key,
-            Body: fileContent,
-            ContentType: mimeType,
-            Metadata: {
-              hash: currentHash, // Store hash in S3 metadata for reference
-            },
+          publicUrl = await storage.put(storageKey, fileContent, {
+            contentType: getMimeType(imageFileName),
+            cacheControl: config.CONFIG.ASSET_HASHED_KEYS ? IMMUTABLE_CACHE_CONTROL : undefined,
+            metadata: { hash: currentHash }, // Store hash in object metadata for reference
           });
-
-          await s3Client.send(command);
-          
-          // Construct the public URL
-          s3Url = `${s3UrlBase}/${s3Key}`;
-          
           utils.log(`   - Uploaded/Updated Asset: ${imageFileName}`);
           uploadedCount++;
         } catch (e) {
@@ -222,51 +357,135 @@ async function syncAllLocalAssets(hashManifest) {
           return;
         }
       }
-      hashManifest[manifestKey] = { hash: currentHash, url: s3Url };
+
+      // The previous object is superseded rather than deleted: see purgeSupersededAssets().
+      const superseded = (manifestEntry?.superseded || []).filter(s => s.key !== storageKey);
+      if (manifestEntry && previousKey !== storageKey) superseded.push({ key: previousKey, supersededAt: new Date().toISOString() });
+      hashManifest[manifestKey] = { hash: currentHash, url: publicUrl, key: storageKey, ...(superseded.length > 0 ? { superseded } : {}) };
       manifestUpdated = true;
     },
     { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
   );
 
-  if (uploadedCount > 0) utils.log(`✅ Successfully synced ${uploadedCount} image assets.`);
-  else utils.log('🖼️ No image assets needed update.');
+  if (uploadedCount > 0) utils.log(`✅ Successfully synced ${uploadedCount} assets.`);
+  else utils.log('🖼️ No assets needed update.');
 
-  return manifestUpdated;
+  const manifestUpdatedAfterPurge = await purgeSupersededAssets(hashManifest);
+  return manifestUpdated || manifestUpdatedAfterPurge;
 }
 
 // --- CONTENT PREPARATION ---
 
-async function prepareDocBody(docRecord, hashManifest) {
-  let content = docRecord.content;
-  // This regex finds local image paths, including those in subfolders.
-  const LOCAL_IMAGE_PATTERN = /!\[(.*?)\]\((?!https?:\/\/)([^)\s]+)(\s+["'].*?[""])?\)/g;
+const resolveLocalPath = (docRecord, refPath) => assetReferences.resolveLocalPath(docRecord.absPath, refPath);
 
-  content = content.replace(LOCAL_IMAGE_PATTERN, (fullMatch, altText, localImagePath, quotedTitle) => {
-    // Normalize path to use forward slashes, matching the manifest key
-    const manifestKey = localImagePath.replace(/\\/g, '/');
-    const manifestEntry = hashManifest[manifestKey];
-    
-    if (manifestEntry) {
-      return `![${altText}](${manifestEntry.url}${quotedTitle || ''})`;
+const isInsideAssetsDir = (absPath) => {
+  const relToAssets = path.relative(config.CONFIG.ASSETS_DIR, absPath);
+  return !relToAssets.startsWith('..') && !path.isAbsolute(relToAssets);
+};
+
+// Resolves an asset path found in a doc to its manifest key (the path relative to ASSETS_DIR).
+// Throws if the path leaves the assets folder or the file does not exist.
+function resolveAssetReference(docRecord, refPath) {
+  const absPath = resolveLocalPath(docRecord, refPath);
+  if (!isInsideAssetsDir(absPath)) {
+    throw new Error(`"${refPath}" points outside ${path.relative(process.cwd(), config.CONFIG.ASSETS_DIR)}`);
+  }
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`"${refPath}" points to a missing file (${path.relative(process.cwd(), absPath)})`);
+  }
+  return path.relative(config.CONFIG.ASSETS_DIR, absPath).split(path.sep).join('/');
+}
+
+// Returns the manifest keys of the assets a doc references, and the references that cannot be
+// resolved ({ line, path, message }). Links outside docs/assets are not asset references.
+function findReferencedAssets(docRecord) {
+  const keys = new Set();
+  const unresolved = [];
+  for (const reference of assetReferences.findAssetReferences(docRecord.content)) {
+    if (assetReferences.isLinkReference(reference) && !isInsideAssetsDir(resolveLocalPath(docRecord, reference.path))) continue;
+    try {
+      keys.add(resolveAssetReference(docRecord, reference.path));
+    } catch (e) {
+      unresolved.push({ line: reference.line + getBodyLineOffset(docRecord), path: reference.path, message: e.message });
     }
-    
-    // Fallback for simple (non-nested) paths just in case
-    const imageFileName = path.basename(localImagePath);
-    const fallbackEntry = hashManifest[imageFileName];
-    if (fallbackEntry) {
-      utils.warn(`   - Image link in ${docRecord.slug} for ${localImagePath} found using fallback (basename). Consider using relative paths.`);
-      return `![${altText}](${fallbackEntry.url}${quotedTitle || ''})`;
+  }
+  return { keys, unresolved };
+}
+
+const isDocLink = (reference) =>
+  assetReferences.isLinkReference(reference) && /\.mdx?$/i.test(reference.path.replace(/[?#].*$/, ''));
+
+// Resolves a relative link to another doc, e.g. "../authentication/api-keys.md#scopes", to a
+// ReadMe link: "doc:api-keys#scopes" (or "/docs/api-keys#scopes" in HTML, where ReadMe does not
+// resolve doc: links). docsByPath maps the absolute path of every local doc to its slug.
+function resolveDocLink(docRecord, reference, docsByPath) {
+  const absPath = resolveLocalPath(docRecord, reference.path);
+  const slug = docsByPath.get(absPath);
+  if (!slug) {
+    const problem = fs.existsSync(absPath) ? 'a doc without a slug' : 'a missing doc';
+    throw new Error(`"${reference.path}" points to ${problem} (${path.relative(process.cwd(), absPath)})`);
+  }
+  const anchor = reference.path.match(/#.*$/)?.[0] || '';
+  return reference.kind === 'href' ? `/docs/${slug}${anchor}` : `doc:${slug}${anchor}`;
+}
+
+// Returns the absolute paths of the files a doc links to as docs, whether or not they exist.
+function findLinkedDocPaths(docRecord) {
+  return new Set(assetReferences.findAssetReferences(docRecord.content)
+    .filter(isDocLink)
+    .map(reference => resolveLocalPath(docRecord, reference.path)));
+}
+
+// Replaces every local asset reference (see asset-references.js) with its public URL, and every
+// relative link to another doc with a ReadMe doc link. Other links are left alone.
+// Throws with the full list of references that cannot be resolved.
+async function prepareDocBody(docRecord, hashManifest, docsByPath = new Map()) {
+  const { content, errors } = assetReferences.rewriteAssetReferences(docRecord.content, (reference) => {
+    if (isDocLink(reference)) return resolveDocLink(docRecord, reference, docsByPath);
+    if (assetReferences.isLinkReference(reference) && !isInsideAssetsDir(resolveLocalPath(docRecord, reference.path))) {
+      return null;
     }
-    
-    utils.warn(`   - Image link in ${docRecord.slug} for ${localImagePath} missing from manifest. Skipping replacement.`);
-    return fullMatch;
+    const manifestKey = resolveAssetReference(docRecord, reference.path);
+    const manifestEntry = hashManifest[manifestKey];
+    // Keep a #fragment or ?query, e.g. "guide.pdf#page=2"
+    const suffix = reference.path.match(/[?#].*$/)?.[0] || '';
+    if (manifestEntry) return manifestEntry.url + suffix;
+    if (isBucketEnabled()) throw new Error(`"${reference.path}" (${manifestKey}) was not uploaded to ${storage.name}`);
+    utils.warn(`   - Asset link in ${docRecord.slug} for ${reference.path} cannot be replaced: no asset storage configured.`);
+    return null;
   });
 
+  if (errors.length > 0) {
+    throw new Error(`Unresolved references in ${describeDocLocation(docRecord)}:\n` +
+      errors.map(e => `     - line ${e.line + getBodyLineOffset(docRecord)}: ${e.message}`).join('\n'));
+  }
+
   return content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
 }
 
+const describeDocLocation = (docRecord) => (docRecord.absPath ? path.relative(process.cwd(), docRecord.absPath) : docRecord.slug);
+
+// The body is stored without its front matter; this is the number of file lines before it.
+function getBodyLineOffset(docRecord) {
+  if (!docRecord.absPath || !fs.existsSync(docRecord.absPath)) return 0;
+  const fileContent = fs.readFileSync(docRecord.absPath, 'utf8').replace(/\r\n/g, '\n');
+  const bodyIndex = fileContent.indexOf(docRecord.content.replace(/\r\n/g, '\n'));
+  return bodyIndex > 0 ? fileContent.slice(0, bodyIndex).split('\n').length - 1 : 0;
+}
+
 exports.fetchExternalManifest = fetchExternalManifest;
 exports.saveExternalManifest = saveExternalManifest;
 exports.deleteS3Assets = deleteS3Assets;
 exports.syncAllLocalAssets = syncAllLocalAssets;
-exports.prepareDocBody = prepareDocBody;
\ No newline at end of file
+exports.getStorageKeys = getStorageKeys;
+exports.getAssetFolder = getAssetFolder;
+exports.getManifestKey = getManifestKey;
+exports.prepareDocBody = prepareDocBody;
+exports.findReferencedAssets = findReferencedAssets;
+exports.findLinkedDocPaths = findLinkedDocPaths;
+exports.isBucketEnabled = isBucketEnabled;
+exports.fetchBucketJson = fetchBucketJson;
+exports.fetchBucketJsonVersioned = fetchBucketJsonVersioned;
+exports.saveBucketJson = saveBucketJson;
+exports.listBucketKeys = listBucketKeys;
+exports.deleteBucketKeys = deleteBucketKeys;
\ No newline at end of file
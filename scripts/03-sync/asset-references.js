@@ -0,0 +1,138 @@
+// scripts/sync/asset-references.js
+
+const path = require('path');
+
+// Finds local file references in a Markdown/MDX body, outside fenced code blocks and inline code:
+// - inline images and links: ![alt](path "title") and [text](path), including paths with spaces written as <path>
+// - reference-style images and links: ![alt][ref], [text][ref], [ref][] and [ref], through their [ref]: path definitions
+// - src="..." and href="..." attributes of HTML and JSX tags (<img>, <video>, <Image />, <a>...), also when
+//   they are JSON-escaped inside a [block:html] block, and JSX src={"..."} props
+// Each reference is { path, index, length, line, kind }: index and length locate the path in the
+// body (including its <> brackets, if any), and line is 1-based. Links ('link', 'link-reference' and
+// 'href' kinds) may point to anything, so callers decide which of them are assets.
+// The hierarchy manager's validator uses the same parser, so both see the same references.
+
+const isDocSlugLink = (p) => /^doc:/i.test(p);
+const isExternalPath = (p) => !p || (/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(p) && !isDocSlugLink(p));
+const normalizeLabel = (label) => label.trim().replace(/\s+/g, ' ').toLowerCase();
+
+const LINK_KINDS = new Set(['link', 'link-reference', 'href']);
+
+const INLINE_IMAGE = /!\[((?:\\.|[^\]\\])*)\]\(\s*(<[^>\n]*>|[^\s()<>]+(?:\([^\s()]*\)[^\s()<>]*)*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+// Link text may contain one level of brackets, e.g. a linked image: [![alt](logo.png)](guide.pdf)
+const INLINE_LINK = /(?<![!\\])\[((?:\\.|[^[\]\\]|\[(?:\\.|[^[\]\\])*\])*)\]\(\s*(<[^>\n]*>|[^\s()<>]+(?:\([^\s()]*\)[^\s()<>]*)*)(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+const REFERENCE_USE = /(!?)\[((?:\\.|[^\]\\])*)\](?:\[((?:\\.|[^\]\\])*)\])?(?![[(:])/g;
+const REFERENCE_DEFINITION = /^ {0,3}\[((?:\\.|[^\]\\])+)\]:[ \t]*\n?[ \t]*(<[^>\n]*>|\S+)/gm;
+const URL_ATTRIBUTE = /<[A-Za-z][\w.:-]*\s[^>]*?\b(src|href)=(\{\s*)?(\\?["'])([^"'\\\n]*)\3/g;
+
+// Returns [start, end) ranges of fenced code blocks and inline code spans.
+function findCodeRanges(content) {
+  const ranges = [];
+  let fence = null;
+  let offset = 0;
+  for (const line of content.split('\n')) {
+    const marker = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (!fence && marker) {
+      fence = { char: marker[1][0], length: marker[1].length, start: offset };
+    } else if (fence && marker && marker[1][0] === fence.char && marker[1].length >= fence.length && !line.slice(marker[0].length).trim()) {
+      ranges.push([fence.start, offset + line.length]);
+      fence = null;
+    }
+    offset += line.length + 1;
+  }
+  if (fence) ranges.push([fence.start, content.length]);
+
+  const inFence = (index) => ranges.some(([start, end]) => index >= start && index < end);
+  for (const match of content.matchAll(/(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g)) {
+    if (!inFence(match.index)) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+// Every reference, including ReadMe "doc:slug" links and same-page "#anchor" links.
+function findReferences(content) {
+  const codeRanges = findCodeRanges(content);
+  const inCode = (index) => codeRanges.some(([start, end]) => index >= start && index < end);
+  const lineAt = (index) => content.slice(0, index).split('\n').length;
+  const references = [];
+
+  const add = (kind, rawPath, index) => {
+    const unwrapped = rawPath.startsWith('<') ? rawPath.slice(1, -1) : rawPath;
+    if (isExternalPath(unwrapped.trim()) || inCode(index)) return;
+    references.push({ kind, path: unwrapped.trim(), index, length: rawPath.length, line: lineAt(index) });
+  };
+
+  for (const match of content.matchAll(INLINE_IMAGE)) {
+    const rawPath = match[2];
+    add('image', rawPath, match.index + match[0].indexOf(rawPath, match[1].length + 3));
+  }
+  for (const match of content.matchAll(INLINE_LINK)) {
+    const rawPath = match[2];
+    add('link', rawPath, match.index + match[0].indexOf(rawPath, match[1].length + 2));
+  }
+
+  // A definition used by at least one reference-style image is an image; otherwise it is a link.
+  const imageLabels = new Set();
+  for (const match of content.matchAll(REFERENCE_USE)) {
+    if (match[1] && !inCode(match.index)) imageLabels.add(normalizeLabel(match[3] || match[2]));
+  }
+  for (const match of content.matchAll(REFERENCE_DEFINITION)) {
+    const kind = imageLabels.has(normalizeLabel(match[1])) ? 'image-reference' : 'link-reference';
+    add(kind, match[2], match.index + match[0].length - match[2].length);
+  }
+
+  for (const match of content.matchAll(URL_ATTRIBUTE)) {
+    add(match[1] === 'src' ? 'src' : 'href', match[4], match.index + match[0].length - match[3].length - match[4].length);
+  }
+
+  return references.sort((a, b) => a.index - b.index);
+}
+
+// References to local files only: the ones the sync rewrites.
+function findAssetReferences(content) {
+  return findReferences(content).filter(reference => !isDocSlugLink(reference.path) && !reference.path.startsWith('#'));
+}
+
+// Turns a path found in a file into an absolute file path, without its #fragment or ?query.
+// Relative paths are resolved against the file's folder; a leading "/" means the repository root, as on GitHub.
+function resolveLocalPath(fromFile, refPath) {
+  const pathname = refPath.replace(/[?#].*$/, '');
+  let decodedPath = pathname;
+  try {
+    decodedPath = decodeURI(pathname);
+  } catch (e) {
+    // Keep the raw path if it is not valid URI encoding.
+  }
+  return decodedPath.startsWith('/')
+    ? path.join(process.cwd(), decodedPath)
+    : path.resolve(path.dirname(fromFile), decodedPath);
+}
+
+// Replaces every local reference with toUrl(reference). toUrl may return null to keep the path,
+// or throw to report the reference as unresolved. Returns { content, errors: [{ line, path, message }] }.
+function rewriteAssetReferences(content, toUrl) {
+  const errors = [];
+  let rewritten = content;
+  // Apply edits from the end, so earlier indexes stay valid.
+  for (const reference of findAssetReferences(content).reverse()) {
+    let url;
+    try {
+      url = toUrl(reference);
+    } catch (e) {
+      errors.unshift({ line: reference.line, path: reference.path, message: e.message });
+      continue;
+    }
+    if (!url) continue;
+    rewritten = rewritten.slice(0, reference.index) + url.replace(/ /g, '%20') + rewritten.slice(reference.index + reference.length);
+  }
+  return { content: rewritten, errors };
+}
+
+const isLinkReference = (reference) => LINK_KINDS.has(reference.kind);
+
+exports.findCodeRanges = findCodeRanges;
+exports.findReferences = findReferences;
+exports.findAssetReferences = findAssetReferences;
+exports.isLinkReference = isLinkReference;
+exports.resolveLocalPath = resolveLocalPath;
+exports.rewriteAssetReferences = rewriteAssetReferences;
@@ -0,0 +1,64 @@
+// scripts/sync/changelog-import.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const matter = require('gray-matter');
+let pMap = require('p-map');
+if (typeof pMap !== 'function') { pMap = pMap.default; }
+const config = require('./config.js');
+const utils = require('./utils.js');
+const stateManager = require('./state-manager.js');
+
+// Writes the remote changelog entries into docs/_changelog, one file per entry named after its
+// creation date, so the repository can take over the changelog. Entries that already have a local
+// file (same slug) are skipped. Bodies are written as ReadMe returns them, so images keep their
+// remote URLs.
+
+function toChangelogFile(entry) {
+  const fm = { title: entry.title, slug: entry.slug };
+  if (entry.type) fm.type = entry.type;
+  fm.hidden = entry.hidden;
+  return matter.stringify(`\n${entry.body.trim()}\n`, fm);
+}
+
+async function importChangelog() {
+  const localEntries = (await stateManager.loadLocalChangelogs()) || new Map();
+  utils.log('🔎 Fetching the remote changelog...');
+  const remoteEntries = [...(await stateManager.fetchRemoteChangelogs()).values()];
+  const missing = remoteEntries.filter(entry => !localEntries.has(entry.slug));
+  utils.log(`   - Found ${remoteEntries.length} remote entries, ${missing.length} without a local file.`);
+
+  // The list may not carry full bodies, so every imported entry is fetched on its own.
+  const entries = await pMap(
+    missing,
+    async (entry) => {
+      const full = await stateManager.fetchRemoteChangelog(entry.slug);
+      return { ...full, createdAt: full.createdAt || entry.createdAt };
+    },
+    { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+  );
+
+  for (const entry of entries) {
+    const date = (entry.createdAt || new Date().toISOString()).slice(0, 10);
+    const filePath = path.join(config.CONFIG.CHANGELOG_DIR, `${date}-${entry.slug}.md`);
+    const relPath = path.relative(process.cwd(), filePath);
+    if (await fs.pathExists(filePath)) {
+      utils.warn(`Skipping ${entry.slug}: ${relPath} already exists.`);
+      continue;
+    }
+    if (config.DRY_RUN) {
+      utils.log(`   - [DRY-RUN] Would write ${relPath}`);
+      continue;
+    }
+    await fs.outputFile(filePath, toChangelogFile(entry), 'utf8');
+    utils.log(`   - Wrote ${relPath}`);
+  }
+
+  if (entries.length > 0 && !config.DRY_RUN) {
+    utils.log('\n✅ Changelog imported. Review and commit the new files. Local images can replace the remote URLs later.');
+  } else if (entries.length === 0) {
+    utils.log('\n✅ Every remote changelog entry already has a local file.');
+  }
+}
+
+exports.importChangelog = importChangelog;
@@ -3,31 +3,139 @@
 const path = require('path');
 require('dotenv/config');
 
+// Parses "release/2.x=v2.0,release/1.*=v1.0" into ordered { pattern, version } rules.
+// A rule with an empty version (e.g. "main=") pins that branch to the default version.
+function parseVersionMap(raw) {
+  if (!raw) return [];
+  return raw
+    .split(/[,\n]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separatorIndex = entry.lastIndexOf('=');
+      if (separatorIndex <= 0) {
+        console.error(`❌ FATAL: Invalid README_VERSION_MAP entry "${entry}". Expected "branch=version".`);
+        process.exit(1);
+      }
+      return {
+        pattern: entry.slice(0, separatorIndex).trim(),
+        version: entry.slice(separatorIndex + 1).trim() || null,
+      };
+    });
+}
+
+// Reads a numeric setting from the environment, or returns the default when it is unset or empty.
+// A typo such as "25x" would otherwise become NaN, and every comparison against NaN is false.
+function parseNumberEnv(name, defaultValue, { integer = false, min = 0 } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === '') return defaultValue;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || (integer && !Number.isInteger(value))) {
+    console.error(`❌ FATAL: Invalid ${name} "${raw}". Expected ${integer ? 'an integer' : 'a number'} of at least ${min}.`);
+    process.exit(1);
+  }
+  return value;
+}
+
+// Reads the value of a CLI option passed as "--flag value" or "--flag=value".
+function getArgValue(flag) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`${flag}=`));
+  if (inline) return inline.slice(flag.length + 1);
+
+  const index = args.indexOf(flag);
+  if (index === -1) return null;
+  const value = args[index + 1];
+  if (!value || value.startsWith('-')) {
+    console.error(`❌ FATAL: The ${flag} option requires a value.`);
+    process.exit(1);
+  }
+  return value;
+}
+
 const CONFIG = {
 
   DOCS_ROOT: path.resolve(process.cwd(), 'docs'),
   STRUCTURE_MANIFEST: path.resolve(process.cwd(), 'docs', '.readme-structure.json'),
   ASSETS_DIR: path.join(path.resolve(process.cwd(), 'docs'), 'assets'),
+  PAGES_DIR: path.join(path.resolve(process.cwd(), 'docs'), '_pages'), // ReadMe custom pages, outside the guides hierarchy
+  CHANGELOG_DIR: path.join(path.resolve(process.cwd(), 'docs'), '_changelog'), // ReadMe changelog entries, one dated file each
   
   TARGET_GIT_BRANCH: process.env.TARGET_GIT_BRANCH || 'main',
 
+  // --- Local Sync State ---
+  SYNC_STATE_DIR: path.resolve(process.cwd(), '.readme-sync'),
+  SYNC_LEDGER_FILE: path.resolve(process.cwd(), '.readme-sync', 'ledger.json'),
+  REPORT_JSON_FILE: path.resolve(process.cwd(), getArgValue('--report') || process.env.SYNC_REPORT_FILE || '.readme-sync/report.json'),
+  REPORT_MARKDOWN_FILE: path.resolve(process.cwd(), process.env.SYNC_REPORT_MARKDOWN_FILE || '.readme-sync/report.md'),
+  REDIRECTS_FILE: path.resolve(process.cwd(), process.env.SYNC_REDIRECTS_FILE || '.readme-sync/redirects.json'),
+  JOURNAL_FILE: path.resolve(process.cwd(), process.env.SYNC_JOURNAL_FILE || '.readme-sync/journal.json'),
+  SNAPSHOT_DIR: path.resolve(process.cwd(), process.env.SYNC_SNAPSHOT_DIR || '.readme-sync/snapshots'),
+  READMEIGNORE_FILE: path.resolve(process.cwd(), '.readmeignore'),
+
   // --- ReadMe API Config ---
   README_BASE_URL: process.env.README_BASE_URL || 'https://dash.readme.com/api/v1',
   README_API_KEY: process.env.README_API_KEY,
-  README_VERSION: process.env.README_VERSION,
+  README_VERSION: process.env.README_VERSION, // Explicit override, wins over the branch map
+  README_VERSION_MAP: parseVersionMap(process.env.README_VERSION_MAP),
+  // Custom pages and the changelog are shared by all versions: only runs that target this version
+  // sync them. null means the default version.
+  UNVERSIONED_CONTENT_VERSION: process.env.SYNC_UNVERSIONED_CONTENT_VERSION || null,
+
+  // --- Asset Storage Config ---
+  // Provider for images, the hash manifest, the ledger, and snapshots: s3, local, cloudinary, gcs, or azure.
+  // Defaults to s3 when S3_BUCKET_NAME is set, for backwards compatibility.
+  ASSET_STORAGE: (process.env.ASSET_STORAGE || (process.env.S3_BUCKET_NAME ? 's3' : '')).toLowerCase() || null,
+  ASSET_PUBLIC_URL_BASE: process.env.ASSET_PUBLIC_URL_BASE || process.env.S3_PUBLIC_URL_BASE, // e.g., 'https://my-cdn.com/assets'
+  ASSET_LOCAL_DIR: process.env.ASSET_LOCAL_DIR, // local provider: folder published by another pipeline
 
-  // --- AWS S3 Config ---
+  // --- AWS S3 / S3-compatible Config ---
   S3_BUCKET_NAME: process.env.S3_BUCKET_NAME, 
   S3_REGION: process.env.S3_REGION,
-  S3_PUBLIC_URL_BASE: process.env.S3_PUBLIC_URL_BASE, // e.g., 'https://my-cdn.com/assets'
+  S3_ENDPOINT: process.env.S3_ENDPOINT, // e.g., MinIO or R2 endpoint
+  S3_FORCE_PATH_STYLE: process.env.S3_FORCE_PATH_STYLE === 'true',
+  S3_PUBLIC_URL_BASE: process.env.S3_PUBLIC_URL_BASE,
+
+  // --- Other Providers ---
+  CLOUDINARY_CLOUD_NAME: process.env.CLOUDINARY_CLOUD_NAME,
+  CLOUDINARY_API_KEY: process.env.CLOUDINARY_API_KEY,
+  CLOUDINARY_API_SECRET: process.env.CLOUDINARY_API_SECRET,
+  GCS_BUCKET_NAME: process.env.GCS_BUCKET_NAME,
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  AZURE_STORAGE_CONTAINER: process.env.AZURE_STORAGE_CONTAINER,
+
+  // --- Storage Keys (used by every provider) ---
   S3_ASSET_FOLDER: process.env.S3_ASSET_FOLDER || 'readme-assets', 
   S3_MANIFEST_KEY: process.env.S3_MANIFEST_KEY || 'readme-assets/image-hashes-manifest.json',
+  S3_LEDGER_KEY: process.env.S3_LEDGER_KEY || 'readme-assets/sync-ledger.json',
+  S3_SNAPSHOT_PREFIX: process.env.S3_SNAPSHOT_PREFIX || 'readme-snapshots',
+  S3_LOCK_KEY: process.env.S3_LOCK_KEY || 'readme-assets/sync-lock.json',
+  S3_REDIRECTS_KEY: process.env.S3_REDIRECTS_KEY || 'readme-assets/redirects.json',
+  // Content-addressed keys (e.g., logo.3f2a9c0d1e.png) served with an immutable Cache-Control.
+  ASSET_HASHED_KEYS: process.env.ASSET_HASHED_KEYS === 'true',
+  // How long superseded versions of a hashed asset stay in the storage.
+  ASSET_RETENTION_DAYS: parseNumberEnv('ASSET_RETENTION_DAYS', 30, { min: 0 }),
 
   // --- Sync Behavior Config ---
   MAX_CONCURRENT_API_CALLS: 5,
   API_CALL_DELAY_MS: 250,
-  MANIFEST_RETRY_DELAY_MS: 2000,
-  MANIFEST_MAX_RETRIES: 3,
+  API_MAX_RETRIES: parseNumberEnv('README_API_MAX_RETRIES', 5, { integer: true }),
+  API_RETRY_BASE_DELAY_MS: parseNumberEnv('README_API_RETRY_BASE_DELAY_MS', 1000, { integer: true }),
+  API_RETRY_MAX_DELAY_MS: parseNumberEnv('README_API_RETRY_MAX_DELAY_MS', 60000, { integer: true }),
+  // Conditional manifest saves that lose to another run are merged and retried this many times in total.
+  MANIFEST_SAVE_MAX_ATTEMPTS: 5,
+  // A lock older than its TTL belongs to a run that died without releasing it.
+  // A held lock is refreshed every third of its TTL.
+  LOCK_TTL_MINUTES: parseNumberEnv('SYNC_LOCK_TTL_MINUTES', 60, { min: 1 }),
+  LOCK_WAIT_MINUTES: parseNumberEnv('SYNC_LOCK_WAIT_MINUTES', 15),
+  LOCK_POLL_INTERVAL_MS: 15000,
+
+  SNAPSHOT_ENABLED: process.env.SYNC_SNAPSHOT !== 'false' && !process.argv.includes('--no-snapshot'),
+  SNAPSHOT_TO_BUCKET: process.env.SYNC_SNAPSHOT_TO_BUCKET === 'true',
+
+  // --- Deletion Safeguards (only relevant with --prune) ---
+  MAX_DELETIONS: parseNumberEnv('SYNC_MAX_DELETIONS', 25, { integer: true }),
+  MAX_DELETION_PERCENT: parseNumberEnv('SYNC_MAX_DELETION_PERCENT', 20),
 };
 
 // Updated error checks
@@ -36,18 +144,61 @@ if (!CONFIG.README_API_KEY) {
   process.exit(1);
 }
 
-// Check for EITHER S3 bucket OR a base URL, as a user might not use S3.
-if (!CONFIG.S3_BUCKET_NAME && !CONFIG.S3_PUBLIC_URL_BASE) {
-  console.warn('⚠️ WARNING: S3_BUCKET_NAME and S3_PUBLIC_URL_BASE are not set.');
+// Settings each asset storage provider needs. ASSET_PUBLIC_URL_BASE can also be set as S3_PUBLIC_URL_BASE.
+const STORAGE_REQUIREMENTS = {
+  s3: ['S3_BUCKET_NAME', CONFIG.S3_ENDPOINT ? null : 'S3_REGION', 'ASSET_PUBLIC_URL_BASE'],
+  local: ['ASSET_LOCAL_DIR', 'ASSET_PUBLIC_URL_BASE'],
+  cloudinary: process.env.CLOUDINARY_URL ? [] : ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+  gcs: ['GCS_BUCKET_NAME'],
+  azure: ['AZURE_STORAGE_CONNECTION_STRING', 'AZURE_STORAGE_CONTAINER'],
+};
+
+if (!CONFIG.ASSET_STORAGE) {
+  console.warn('⚠️ WARNING: No asset storage is configured (ASSET_STORAGE or S3_BUCKET_NAME).');
   console.warn('   Image uploading and asset management will be skipped.');
-} else if (CONFIG.S3_BUCKET_NAME && (!CONFIG.S3_REGION || !CONFIG.S3_PUBLIC_URL_BASE)) {
-  console.error('❌ FATAL: To use S3, you must set S3_BUCKET_NAME, S3_REGION, and S3_PUBLIC_URL_BASE.');
+} else if (!STORAGE_REQUIREMENTS[CONFIG.ASSET_STORAGE]) {
+  console.error(`❌ FATAL: Unknown ASSET_STORAGE "${CONFIG.ASSET_STORAGE}". Use one of: ${Object.keys(STORAGE_REQUIREMENTS).join(', ')}.`);
   process.exit(1);
+} else {
+  const missing = STORAGE_REQUIREMENTS[CONFIG.ASSET_STORAGE].filter(key => key && !CONFIG[key]);
+  if (missing.length > 0) {
+    console.error(`❌ FATAL: ASSET_STORAGE=${CONFIG.ASSET_STORAGE} requires ${missing.join(', ')}.`);
+    process.exit(1);
+  }
 }
 
 const DRY_RUN = process.argv.includes('--dry-run') || process.argv.includes('-n');
+const FULL_SYNC = process.argv.includes('--full');
+const SINCE_REF = getArgValue('--since');
+const PRUNE = process.argv.includes('--prune');
+const RESUME = process.argv.includes('--resume');
+const CONTINUE_ON_ERROR = process.argv.includes('--continue-on-error');
+// Skips the confirmation of destructive commands (assets gc).
+const ASSUME_YES = process.argv.includes('--yes') || process.argv.includes('-y');
+// Where the dry-run content diff goes: a file path, "-" for stdout, or null to skip it.
+const DIFF_OUTPUT = getArgValue('--diff-file') || (process.argv.includes('--diff') ? '-' : null);
+const DETECT_DRIFT = process.argv.includes('--detect-drift') || process.env.SYNC_DETECT_DRIFT === 'true';
+
+if (RESUME && (FULL_SYNC || SINCE_REF || DRY_RUN)) {
+  console.error('❌ FATAL: --resume replays the interrupted plan and cannot be combined with --full, --since, or --dry-run.');
+  process.exit(1);
+}
+
+if (FULL_SYNC && SINCE_REF) {
+  console.error('❌ FATAL: --full and --since cannot be used together.');
+  process.exit(1);
+}
 
 module.exports = {
   CONFIG,
   DRY_RUN,
+  FULL_SYNC,
+  SINCE_REF,
+  DETECT_DRIFT,
+  PRUNE,
+  RESUME,
+  CONTINUE_ON_ERROR,
+  ASSUME_YES,
+  DIFF_OUTPUT,
+  getArgValue,
 };
\ No newline at end of file
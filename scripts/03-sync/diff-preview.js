@@ -0,0 +1,121 @@
+// scripts/sync/diff-preview.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+let pMap = require('p-map');
+if (typeof pMap !== 'function') { pMap = pMap.default; }
+const config = require('./config.js');
+const utils = require('./utils.js');
+const stateManager = require('./state-manager.js');
+
+// Line endings and surrounding whitespace are not meaningful changes.
+const normalize = (value) => String(value ?? '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+
+// Serializes the fields a reviewer cares about into a diffable text block.
+function renderDocForDiff(doc) {
+  if (!doc) return '';
+  return [
+    `title: ${doc.title ?? ''}`,
+    `excerpt: ${normalize(doc.excerpt)}`,
+    `hidden: ${!!doc.hidden}`,
+    '---',
+    normalize(doc.body),
+    '',
+  ].join('\n');
+}
+
+function renderPageForDiff(page) {
+  if (!page) return '';
+  return [
+    `title: ${page.title ?? ''}`,
+    `hidden: ${!!page.hidden}`,
+    `htmlmode: ${!!page.htmlmode}`,
+    '---',
+    normalize(page.htmlmode ? page.html : page.body),
+    '',
+  ].join('\n');
+}
+
+function renderChangelogForDiff(entry) {
+  if (!entry) return '';
+  return [
+    `title: ${entry.title ?? ''}`,
+    `type: ${entry.type || ''}`,
+    `hidden: ${!!entry.hidden}`,
+    '---',
+    normalize(entry.body),
+    '',
+  ].join('\n');
+}
+
+const DIFF_KINDS = {
+  doc: { label: 'doc', remotePrefix: '', render: renderDocForDiff, fetchRemote: stateManager.fetchRemoteDoc },
+  page: { label: 'custom page', remotePrefix: 'custompages/', render: renderPageForDiff, fetchRemote: stateManager.fetchRemotePage },
+  changelog: { label: 'changelog entry', remotePrefix: 'changelogs/', render: renderChangelogForDiff, fetchRemote: stateManager.fetchRemoteChangelog },
+};
+
+// Builds a unified diff between the remote version of each planned doc (custom page, changelog entry) and the body
+// that would be pushed, then writes it to a file or to stdout ("-").
+async function writeDryRunDiff(plan, localState, output) {
+  utils.log('\n🔎 Building content diff preview...');
+  const ops = [
+    ...plan.docCreations.map(op => ({ ...op, isNew: true })),
+    ...plan.docRenames.map(op => ({ ...op, isNew: false })),
+    ...plan.docUpdates.map(op => ({ ...op, isNew: false })),
+    ...plan.pageCreations.map(op => ({ ...op, isNew: true })),
+    ...plan.pageUpdates.map(op => ({ ...op, isNew: false })),
+    ...plan.changelogCreations.map(op => ({ ...op, isNew: true })),
+    ...plan.changelogUpdates.map(op => ({ ...op, isNew: false })),
+  ];
+
+  const patches = await pMap(
+    ops,
+    async ({ slug, doc, page, entry, isNew, fromSlug }) => {
+      const kind = page ? DIFF_KINDS.page : entry ? DIFF_KINDS.changelog : DIFF_KINDS.doc;
+      const record = page || entry || doc;
+      const body = localState.preparedBodies.get(record);
+      const localText = kind.render({ ...record, body, html: body });
+      let remoteText = '';
+      if (!isNew) {
+        try {
+          remoteText = kind.render(await kind.fetchRemote(fromSlug || slug));
+        } catch (e) {
+          utils.warn(`   - Could not fetch remote ${kind.label} ${slug} for the diff: ${e.message}`);
+        }
+      }
+      if (localText === remoteText) return null;
+      const relPath = path.relative(process.cwd(), record.absPath).replace(/\\/g, '/');
+      return createTwoFilesPatch(
+        isNew ? '/dev/null' : `readme/${kind.remotePrefix}${fromSlug || slug}`,
+        `local/${relPath}`,
+        remoteText,
+        localText,
+        isNew ? `new ${kind.label}` : 'ReadMe',
+        'prepared body'
+      );
+    },
+    { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+  );
+
+  const changed = patches.filter(Boolean);
+  const diffText = changed.join('\n');
+
+  if (output === '-') {
+    utils.log(`\n--- CONTENT DIFF (${changed.length} doc(s)) ---\n`);
+    process.stdout.write(diffText ? `${diffText}\n` : 'No content changes.\n');
+  } else {
+    const outputPath = path.resolve(process.cwd(), output);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.writeFile(outputPath, diffText, 'utf8');
+    utils.log(`   - Wrote content diff for ${changed.length} doc(s) to ${path.relative(process.cwd(), outputPath)}.`);
+  }
+  if (ops.length > changed.length) {
+    utils.log(`   - ${ops.length - changed.length} planned doc(s) have no body, title, excerpt, or hidden change (e.g., order or parent only).`);
+  }
+}
+
+exports.renderDocForDiff = renderDocForDiff;
+exports.renderPageForDiff = renderPageForDiff;
+exports.renderChangelogForDiff = renderChangelogForDiff;
+exports.writeDryRunDiff = writeDryRunDiff;
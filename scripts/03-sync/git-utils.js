@@ -3,19 +3,20 @@
 const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs-extra');
+const matter = require('gray-matter');
 const config = require('./config.js');
 const utils = require('./utils.js');
 
-function getChangedFilePaths() {
-  utils.log(`\n🔍 Checking Git for files changed relative to '${config.CONFIG.TARGET_GIT_BRANCH}'...`);
+function getChangedFilePaths(baseRef = config.CONFIG.TARGET_GIT_BRANCH) {
+  utils.log(`\n🔍 Checking Git for files changed relative to '${baseRef}'...`);
   try {
     // Get all changed files
-    const output = execSync(`git diff --name-only ${config.CONFIG.TARGET_GIT_BRANCH}...HEAD`, {
+    const output = execSync(`git diff --name-only ${baseRef}...HEAD`, {
       encoding: 'utf8',
     });
 
     // Get only deleted files
-    const deletedOutput = execSync(`git diff --name-only --diff-filter=D ${config.CONFIG.TARGET_GIT_BRANCH}...HEAD`, {
+    const deletedOutput = execSync(`git diff --name-only --diff-filter=D ${baseRef}...HEAD`, {
       encoding: 'utf8',
     });
 
@@ -70,12 +71,102 @@ function getChangedFilePaths() {
       }
     });
 
+    const renamedSlugs = getSlugRenames(baseRef);
+
     utils.log(`✅ Git detected ${changedPaths.size} MD/Structural files for update/creation and ${deletedPaths.size} assets marked for deletion.`);
-    return { changed: changedPaths, deleted: deletedPaths };
+    if (renamedSlugs.size > 0) utils.log(`   - Git detected ${renamedSlugs.size} doc(s) whose slug changed.`);
+    return { changed: changedPaths, deleted: deletedPaths, renamedSlugs };
   } catch (error) {
     utils.warn(`⚠️ Git diff failed (Error: ${error.message}). Running full sync for safety (NO DELETIONS).`);
-    return { changed: null, deleted: new Set() };
+    return { changed: null, deleted: new Set(), renamedSlugs: new Map(), fallback: true };
+  }
+}
+
+// Finds docs whose front matter slug changed since the merge base, following file renames.
+// Returns a Map of current absolute path -> previous slug.
+function getSlugRenames(baseRef) {
+  const renamedSlugs = new Map();
+  try {
+    const mergeBase = execSync(`git merge-base ${baseRef} HEAD`, { encoding: 'utf8' }).trim();
+    const statusOutput = execSync(`git diff --name-status -M --diff-filter=RM ${mergeBase} HEAD`, { encoding: 'utf8' });
+
+    for (const line of statusOutput.split('\n')) {
+      const [status, oldPath, newPath = oldPath] = line.trim().split('\t');
+      if (!status || !/\.mdx?$/.test(newPath)) continue;
+
+      const absPath = path.resolve(process.cwd(), newPath);
+      if (!absPath.startsWith(config.CONFIG.DOCS_ROOT + path.sep) || !fs.existsSync(absPath)) continue;
+
+      const previousSlug = matter(execSync(`git show ${mergeBase}:"${oldPath}"`, { encoding: 'utf8' })).data.slug;
+      const currentSlug = matter(fs.readFileSync(absPath, 'utf8')).data.slug;
+      if (previousSlug && currentSlug && String(previousSlug).toLowerCase() !== String(currentSlug).toLowerCase()) {
+        renamedSlugs.set(absPath, String(previousSlug).toLowerCase());
+      }
+    }
+  } catch (error) {
+    utils.warn(`Could not detect slug renames from git (${error.message}). Only 'previous_slugs' front matter will be used.`);
+  }
+  return renamedSlugs;
+}
+
+// Used for --full runs and when no usable diff base exists: every doc is treated as changed.
+// Like a failed diff, it is a fallback: nothing confirms that missing content was deleted on purpose.
+function getFullSyncChanges() {
+  utils.log('\n🔍 Full sync requested. Every local doc will be treated as changed (no deletions).');
+  return { changed: null, deleted: new Set(), renamedSlugs: new Map(), fallback: true };
+}
+
+function getHeadCommit() {
+  return execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
+}
+
+function commitExists(ref) {
+  try {
+    execSync(`git cat-file -e ${ref}^{commit}`, { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getCurrentBranch() {
+  // In GitHub Actions the checkout is often detached, so prefer the refs the runner provides.
+  const ciBranch = process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME;
+  if (ciBranch) return ciBranch;
+  try {
+    const branch = execSync('git rev-parse --abbrev-ref HEAD', { encoding: 'utf8' }).trim();
+    return branch === 'HEAD' ? null : branch;
+  } catch (error) {
+    utils.warn(`Could not determine the current git branch: ${error.message}`);
+    return null;
+  }
+}
+
+// Resolves which ReadMe version this run targets.
+// README_VERSION always wins; otherwise the first README_VERSION_MAP rule matching the branch is used.
+// Returns null for the project's default version.
+function resolveReadmeVersion() {
+  if (config.CONFIG.README_VERSION) return config.CONFIG.README_VERSION;
+  if (config.CONFIG.README_VERSION_MAP.length === 0) return null;
+
+  const branch = getCurrentBranch();
+  if (!branch) {
+    utils.warn('No git branch detected. Targeting the default ReadMe version.');
+    return null;
+  }
+
+  const rule = config.CONFIG.README_VERSION_MAP.find(r => utils.wildcardToRegExp(r.pattern).test(branch));
+  if (!rule) {
+    utils.log(`ℹ️ Branch '${branch}' has no README_VERSION_MAP entry. Targeting the default ReadMe version.`);
+    return null;
   }
+  utils.log(`ℹ️ Branch '${branch}' matches '${rule.pattern}' → ReadMe version ${rule.version || '(default)'}.`);
+  return rule.version;
 }
 
-exports.getChangedFilePaths = getChangedFilePaths;
\ No newline at end of file
+exports.getChangedFilePaths = getChangedFilePaths;
+exports.getFullSyncChanges = getFullSyncChanges;
+exports.getHeadCommit = getHeadCommit;
+exports.commitExists = commitExists;
+exports.getCurrentBranch = getCurrentBranch;
+exports.resolveReadmeVersion = resolveReadmeVersion;
\ No newline at end of file
@@ -0,0 +1,112 @@
+// scripts/sync/journal.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config.js');
+const utils = require('./utils.js');
+const report = require('./report.js');
+
+// The journal is written before execution starts and after every operation, so a crashed run
+// can be resumed with --resume. It is never deleted, so it can be kept as a CI artifact:
+// { id, status: 'in-progress' | 'completed' | 'failed', version, commit, startedAt, updatedAt,
+//   plan, assetDeletions, operations: { "doc:create:my-slug": { status, httpStatus, error, attempts, updatedAt } } }
+
+let journal = null;
+
+const relPath = () => path.relative(process.cwd(), config.CONFIG.JOURNAL_FILE);
+
+// Synchronous, atomic writes: operations finish concurrently and must not interleave partial files.
+function persist() {
+  journal.updatedAt = new Date().toISOString();
+  fs.ensureDirSync(path.dirname(config.CONFIG.JOURNAL_FILE));
+  const tmpFile = `${config.CONFIG.JOURNAL_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(journal, null, 2), 'utf8');
+  fs.renameSync(tmpFile, config.CONFIG.JOURNAL_FILE);
+}
+
+function readExisting() {
+  if (!fs.existsSync(config.CONFIG.JOURNAL_FILE)) return null;
+  try {
+    return fs.readJsonSync(config.CONFIG.JOURNAL_FILE);
+  } catch (e) {
+    throw new Error(`Could not parse the sync journal ${relPath()}: ${e.message}`);
+  }
+}
+
+function start(plan, { version, commit, assetDeletions = [] }) {
+  if (config.DRY_RUN) return;
+
+  const previous = readExisting();
+  if (previous && previous.status !== 'completed') {
+    const archivePath = config.CONFIG.JOURNAL_FILE.replace(/\.json$/, `-${previous.id}.json`);
+    fs.moveSync(config.CONFIG.JOURNAL_FILE, archivePath, { overwrite: true });
+    utils.warn(`The previous sync did not complete. Its journal was archived to ${path.relative(process.cwd(), archivePath)}. Use --resume next time to continue an interrupted run.`);
+  }
+
+  const now = new Date().toISOString();
+  journal = {
+    id: now.replace(/[:.]/g, '-'),
+    status: 'in-progress',
+    version,
+    commit,
+    startedAt: now,
+    updatedAt: now,
+    plan,
+    assetDeletions,
+    operations: {},
+  };
+  for (const [planKey, type] of Object.entries(report.OPERATION_TYPES)) {
+    for (const op of plan[planKey] || []) {
+      journal.operations[report.operationKey(type, op.slug)] = { status: 'pending', httpStatus: null, error: null, attempts: 0, updatedAt: null };
+    }
+  }
+  persist();
+  utils.log(`   - Journal started at ${relPath()}.`);
+}
+
+// Loads an unfinished journal so its plan can be executed again. Succeeded operations are skipped.
+function resume() {
+  const previous = readExisting();
+  if (!previous) throw new Error(`No sync journal found at ${relPath()}. Nothing to resume.`);
+  if (previous.status === 'completed') throw new Error(`The last sync (${previous.id}) already completed. Nothing to resume.`);
+
+  journal = previous;
+  journal.status = 'in-progress';
+  persist();
+
+  const statuses = Object.values(journal.operations).map(op => op.status);
+  utils.log(`↩️  Resuming sync ${journal.id}: ${statuses.filter(s => s === 'succeeded').length} done, ` +
+    `${statuses.filter(s => s === 'failed').length} failed, ${statuses.filter(s => s === 'pending').length} pending.`);
+  return journal;
+}
+
+function isCompleted(type, op) {
+  return journal?.operations[report.operationKey(type, op.slug)]?.status === 'succeeded';
+}
+
+function recordOutcome(type, op, { httpStatus = null, error = null }) {
+  if (!journal) return;
+  const key = report.operationKey(type, op.slug);
+  const entry = journal.operations[key] || { attempts: 0 };
+  journal.operations[key] = {
+    status: error ? 'failed' : 'succeeded',
+    httpStatus,
+    error,
+    attempts: (entry.attempts || 0) + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  persist();
+}
+
+function finish(status) {
+  if (!journal) return;
+  journal.status = status;
+  persist();
+  utils.log(`   - Journal marked as ${status} (${relPath()}).`);
+}
+
+exports.start = start;
+exports.resume = resume;
+exports.isCompleted = isCompleted;
+exports.recordOutcome = recordOutcome;
+exports.finish = finish;
@@ -7,6 +7,15 @@ const assetManager = require('./asset-manager.js');
 const stateManager = require('./state-manager.js');
 const syncPlanner = require('./sync-planner.js');
 const syncExecutor = require('./sync-executor.js');
+const apiClient = require('./api-client.js');
+const syncLedger = require('./sync-ledger.js');
+const report = require('./report.js');
+const diffPreview = require('./diff-preview.js');
+const snapshot = require('./snapshot.js');
+const journal = require('./journal.js');
+const assetGc = require('./asset-gc.js');
+const syncLock = require('./sync-lock.js');
+const changelogImport = require('./changelog-import.js');
 
 // --- MAIN EXECUTION ---
 
@@ -16,9 +25,16 @@ async function main() {
   utils.log('===================================================');
 
   try {
-    // 1. Load initial state & determine changes
+    // 0. Resolve the ReadMe version this run targets (README_VERSION or branch map)
+    apiClient.setTargetVersion(gitUtils.resolveReadmeVersion());
+
+    // 1. Wait until no other run syncs, then load initial state & determine changes
+    await syncLock.acquire('sync');
     const hashManifest = await assetManager.fetchExternalManifest();
-    const gitChanges = gitUtils.getChangedFilePaths();
+    const diffBase = await syncLedger.resolveDiffBase();
+    const gitChanges = diffBase ? gitUtils.getChangedFilePaths(diffBase) : gitUtils.getFullSyncChanges();
+    const headCommit = gitUtils.getHeadCommit();
+    report.setRunInfo({ version: apiClient.getTargetVersion(), commit: headCommit });
     const localState = await stateManager.loadLocalState();
     const remoteState = await stateManager.fetchRemoteState();
 
@@ -27,33 +43,207 @@ async function main() {
     const assetDeletions = gitChanges.deleted;
     localState.hashManifest = hashManifest; // Attach manifest for executor
 
-    // 3. Handle Dry Run output
+    // 3. Execute asset-related tasks. This runs before drift detection and execution so that
+    // prepared bodies already point at the final asset URLs (no writes happen in dry-run mode).
+    utils.log('\n4. Synchronizing Assets...');
+    const assetUrlsBefore = new Map(Object.entries(hashManifest).map(([key, entry]) => [key, entry.url]));
+    let manifestUpdated = await assetManager.syncAllLocalAssets(hashManifest);
+    const manifestUpdatedAfterDeletes = await assetManager.deleteS3Assets([...assetDeletions], hashManifest);
+    manifestUpdated = manifestUpdated || manifestUpdatedAfterDeletes;
+    const changedAssetKeys = new Set(Object.keys(hashManifest).filter(key => hashManifest[key].url !== assetUrlsBefore.get(key)));
+    syncPlanner.planChangedAssetDocs(syncPlan, localState, changedAssetKeys);
+
+    // 4. Optionally replace git-based content detection with a remote content comparison
+    if (config.DETECT_DRIFT) {
+      await syncPlanner.applyContentDrift(syncPlan, localState, remoteState, hashManifest);
+    }
+    localState.preparedBodies = await syncPlanner.prepareBodies(syncPlan, localState, hashManifest);
+
+    report.recordPlan(syncPlan);
+
+    // 5. Handle Dry Run output
     if (config.DRY_RUN) {
       utils.log(`\n--- DRY RUN SUMMARY ---`);
       utils.log(`  - Categories: ${syncPlan.categoryCreations.length} to create, ${syncPlan.categoryUpdates.length} to update, ${syncPlan.categoryDeletions.length} to delete`);
       utils.log(`  - Docs: ${syncPlan.docCreations.length} to create, ${syncPlan.docUpdates.length} to update, ${syncPlan.docDeletions.length} to delete`);
+      if (localState.pages) utils.log(`  - Custom pages: ${syncPlan.pageCreations.length} to create, ${syncPlan.pageUpdates.length} to update, ${syncPlan.pageDeletions.length} to delete`);
+      if (localState.changelogs) utils.log(`  - Changelog: ${syncPlan.changelogCreations.length} to create, ${syncPlan.changelogUpdates.length} to update`);
       utils.log(`  - Assets: ${assetDeletions.size} to delete`);
+      if (syncPlan.skippedDeletions.length > 0) utils.log(`  - Skipped deletions: ${syncPlan.skippedDeletions.length} (see warnings above)`);
+      report.toJSON().operations
+        .filter(op => op.status === 'planned')
+        .forEach(op => utils.log(`      • ${op.operation} ${op.kind}: ${op.slug}${op.category && op.kind === 'doc' ? ` (${op.category})` : ''}`));
+      if (config.DIFF_OUTPUT) {
+        await diffPreview.writeDryRunDiff(syncPlan, localState, config.DIFF_OUTPUT);
+      }
       utils.log(`\nDry Run Complete. No changes were made.`);
+      await report.writeReport({ status: 'dry-run' });
       return;
     }
 
-    // 4. Execute asset-related tasks
+    // 6. Back up the remote state, journal the plan, then execute it for docs and categories
+    if (config.CONFIG.SNAPSHOT_ENABLED && report.toJSON().summary.planned > 0) {
+      await snapshot.createSnapshot(remoteState, { commit: headCommit });
+    }
+    journal.start(syncPlan, { version: apiClient.getTargetVersion(), commit: headCommit, assetDeletions: [...assetDeletions] });
+    const { failures, skipped } = await syncExecutor.executeSyncPlan(syncPlan, localState);
+
+    // 7. Finalize by saving manifest if it changed. Uploaded assets are kept even if some operations failed.
+    if (manifestUpdated) {
+      await assetManager.saveExternalManifest(hashManifest);
+    }
+    if (failures.length > 0 || skipped.length > 0) {
+      throw new Error(`${failures.length} operation(s) failed and ${skipped.length} were skipped. See the failure summary above.`);
+    }
+
+    // 8. Remember this commit so the next run only diffs what changed since
+    await syncLedger.recordSuccessfulSync(headCommit);
+    journal.finish('completed');
+    await syncLock.release();
+    await report.writeReport({ status: 'succeeded' });
+  } catch (error) {
+    utils.err('Sync process failed:', error.message);
+    journal.finish('failed');
+    await syncLock.release();
+    await report.writeReport({ status: 'failed', error: error.message }).catch(e => utils.warn(`Could not write sync report: ${e.message}`));
+    process.exit(1);
+  }
+}
+
+// --- RESUME ---
+
+// Replays the plan stored in the journal of an interrupted run instead of planning again, so
+// operations that already went through are skipped and failed or pending ones are retried.
+async function resumeSync() {
+  utils.log('===================================================');
+  utils.log('  ReadMe Repository Sync Script (RESUME)');
+  utils.log('===================================================');
+
+  try {
+    const previous = journal.resume();
+    report.setRunInfo({ version: previous.version, commit: previous.commit });
+    // The journaled plan holds the doc bodies of the interrupted run. Replaying them from another
+    // commit would push outdated content, and resolve doc links against different files.
+    const headCommit = gitUtils.getHeadCommit();
+    if (headCommit && previous.commit && headCommit !== previous.commit) {
+      throw new Error(
+        `HEAD (${headCommit.slice(0, 7)}) differs from the interrupted run (${previous.commit.slice(0, 7)}). ` +
+        `Check out ${previous.commit.slice(0, 7)} to resume it, or run a normal sync to plan from the current checkout.`
+      );
+    }
+    await syncLock.acquire('resume');
+    apiClient.setTargetVersion(previous.version);
+
+    const syncPlan = previous.plan;
+    report.recordPlan(syncPlan);
+
+    // Uploads are idempotent (hash-based), so the asset step simply runs again.
+    const hashManifest = await assetManager.fetchExternalManifest();
     utils.log('\n4. Synchronizing Assets...');
     let manifestUpdated = await assetManager.syncAllLocalAssets(hashManifest);
-    const manifestUpdatedAfterDeletes = await assetManager.deleteS3Assets([...assetDeletions], hashManifest);
+    const manifestUpdatedAfterDeletes = await assetManager.deleteS3Assets(previous.assetDeletions || [], hashManifest);
     manifestUpdated = manifestUpdated || manifestUpdatedAfterDeletes;
-    
-    // 5. Execute the plan for docs and categories
-    await syncExecutor.executeSyncPlan(syncPlan, localState);
 
-    // 6. Finalize by saving manifest if it changed
+    // Doc links are resolved against the checkout, which is at the commit of the journaled plan.
+    const { docsByPath } = await stateManager.loadLocalState();
+    const preparedBodies = await syncPlanner.prepareBodies(syncPlan, { docsByPath }, hashManifest);
+    const { failures, skipped } = await syncExecutor.executeSyncPlan(syncPlan, { hashManifest, docsByPath, preparedBodies });
+
     if (manifestUpdated) {
       await assetManager.saveExternalManifest(hashManifest);
     }
+    if (failures.length > 0 || skipped.length > 0) {
+      throw new Error(`${failures.length} operation(s) failed and ${skipped.length} were skipped. See the failure summary above.`);
+    }
+    await syncLedger.recordSuccessfulSync(previous.commit);
+    journal.finish('completed');
+    await syncLock.release();
+    await report.writeReport({ status: 'succeeded' });
   } catch (error) {
-    utils.err('Sync process failed:', error.message);
+    utils.err('Resumed sync failed:', error.message);
+    journal.finish('failed');
+    await syncLock.release();
+    await report.writeReport({ status: 'failed', error: error.message }).catch(e => utils.warn(`Could not write sync report: ${e.message}`));
+    process.exit(1);
+  }
+}
+
+// --- RESTORE COMMAND ---
+
+async function restore() {
+  const snapshotRef = process.argv[process.argv.indexOf('restore') + 1];
+  if (!snapshotRef || snapshotRef.startsWith('-')) {
+    utils.err('Usage: node scripts/03-sync/main.js restore <snapshot> [--dry-run]');
+    process.exit(1);
+  }
+
+  utils.log('===================================================');
+  utils.log(`  ReadMe Snapshot Restore ${config.DRY_RUN ? '(DRY-RUN)' : ''}`);
+  utils.log('===================================================');
+
+  try {
+    const snapshotData = await snapshot.loadSnapshot(snapshotRef);
+    // Restore into the version the snapshot was taken from, unless README_VERSION says otherwise.
+    apiClient.setTargetVersion(config.CONFIG.README_VERSION || snapshotData.version);
+    await syncLock.acquire('restore');
+    await snapshot.restoreSnapshot(snapshotData);
+    await syncLock.release();
+  } catch (error) {
+    utils.err('Restore failed:', error.message);
+    await syncLock.release();
+    process.exit(1);
+  }
+}
+
+// --- ASSETS GC COMMAND ---
+
+async function collectAssets() {
+  if (process.argv[process.argv.indexOf('assets') + 1] !== 'gc') {
+    utils.err('Usage: node scripts/03-sync/main.js assets gc [--dry-run] [--yes]');
+    process.exit(1);
+  }
+
+  utils.log('===================================================');
+  utils.log(`  ReadMe Asset Garbage Collection ${config.DRY_RUN ? '(DRY-RUN)' : ''}`);
+  utils.log('===================================================');
+
+  try {
+    // Like a sync, the gc works on the asset folder and manifest of the version this branch syncs to.
+    apiClient.setTargetVersion(gitUtils.resolveReadmeVersion());
+    await syncLock.acquire('assets gc');
+    const failedDeletions = await assetGc.collectGarbage();
+    await syncLock.release();
+    if (failedDeletions > 0) throw new Error(`${failedDeletions} storage object(s) could not be deleted.`);
+  } catch (error) {
+    utils.err('Asset garbage collection failed:', error.message);
+    await syncLock.release();
+    process.exit(1);
+  }
+}
+
+// --- CHANGELOG IMPORT COMMAND ---
+
+async function importChangelog() {
+  if (process.argv[process.argv.indexOf('changelog') + 1] !== 'import') {
+    utils.err('Usage: node scripts/03-sync/main.js changelog import [--dry-run]');
+    process.exit(1);
+  }
+
+  utils.log('===================================================');
+  utils.log(`  ReadMe Changelog Import ${config.DRY_RUN ? '(DRY-RUN)' : ''}`);
+  utils.log('===================================================');
+
+  try {
+    await changelogImport.importChangelog();
+  } catch (error) {
+    utils.err('Changelog import failed:', error.message);
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+const command = process.argv.find(arg => ['restore', 'assets', 'changelog'].includes(arg));
+if (command === 'restore') restore();
+else if (command === 'assets') collectAssets();
+else if (command === 'changelog') importChangelog();
+else if (config.RESUME) resumeSync();
+else main();
\ No newline at end of file
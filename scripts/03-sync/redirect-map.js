@@ -0,0 +1,64 @@
+// scripts/sync/redirect-map.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config.js');
+const utils = require('./utils.js');
+const apiClient = require('./api-client.js');
+const assetManager = require('./asset-manager.js');
+
+// The accumulated map is stored next to the ledger when a bucket is configured, so redirects from
+// earlier runs survive fresh CI checkouts. SYNC_REDIRECTS_FILE always gets a copy of the full map.
+async function readRedirects() {
+  if (assetManager.isBucketEnabled()) {
+    return (await assetManager.fetchBucketJson(config.CONFIG.S3_REDIRECTS_KEY)) || [];
+  }
+  if (!(await fs.pathExists(config.CONFIG.REDIRECTS_FILE))) return [];
+  try {
+    return await fs.readJson(config.CONFIG.REDIRECTS_FILE);
+  } catch (e) {
+    utils.warn(`Could not parse ${path.relative(process.cwd(), config.CONFIG.REDIRECTS_FILE)}. Starting a new redirect map.`);
+    return [];
+  }
+}
+
+async function writeRedirects(redirects) {
+  if (assetManager.isBucketEnabled()) {
+    await assetManager.saveBucketJson(config.CONFIG.S3_REDIRECTS_KEY, redirects);
+  }
+  await fs.ensureDir(path.dirname(config.CONFIG.REDIRECTS_FILE));
+  await fs.writeJson(config.CONFIG.REDIRECTS_FILE, redirects, { spaces: 2 });
+}
+
+// Appends executed slug renames to the redirect map, e.g.:
+// [{ "from": "/docs/old-slug", "to": "/docs/new-slug", "version": null, "renamedAt": "..." }]
+// Existing chains are collapsed, so "a -> b" followed by "b -> c" becomes "a -> c" and "b -> c".
+async function recordRedirects(renames) {
+  if (renames.length === 0) return;
+  const location = assetManager.isBucketEnabled()
+    ? config.CONFIG.S3_REDIRECTS_KEY
+    : path.relative(process.cwd(), config.CONFIG.REDIRECTS_FILE);
+
+  if (config.DRY_RUN) {
+    renames.forEach(({ fromSlug, slug }) => utils.log(`   [DRY-RUN] Would record redirect /docs/${fromSlug} → /docs/${slug} in ${location}.`));
+    return;
+  }
+
+  let redirects = await readRedirects();
+  const version = apiClient.getTargetVersion();
+  const renamedAt = new Date().toISOString();
+  for (const { fromSlug, slug } of renames) {
+    const from = `/docs/${fromSlug}`;
+    const to = `/docs/${slug}`;
+    redirects = redirects
+      .filter(entry => !(entry.from === from && entry.version === version))
+      .map(entry => (entry.to === from && entry.version === version ? { ...entry, to } : entry))
+      .filter(entry => entry.from !== entry.to);
+    redirects.push({ from, to, version, renamedAt });
+  }
+
+  await writeRedirects(redirects);
+  utils.log(`   - Recorded ${renames.length} redirect(s) in ${location}.`);
+}
+
+exports.recordRedirects = recordRedirects;
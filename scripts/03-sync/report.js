@@ -0,0 +1,149 @@
+// scripts/sync/report.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config.js');
+const utils = require('./utils.js');
+
+// Operation types shared by the planner output, the executor, and the report.
+const OPERATION_TYPES = {
+  categoryCreations: { kind: 'category', operation: 'create', method: 'POST', label: '➕ CREATE Category' },
+  categoryUpdates: { kind: 'category', operation: 'update', method: 'PUT', label: '✏️ UPDATE Category' },
+  categoryDeletions: { kind: 'category', operation: 'delete', method: 'DELETE', label: '🗑️ DELETE Category' },
+  docCreations: { kind: 'doc', operation: 'create', method: 'POST', label: '➕ CREATE Doc' },
+  docUpdates: { kind: 'doc', operation: 'update', method: 'PUT', label: '✏️ UPDATE Doc' },
+  docRenames: { kind: 'doc', operation: 'rename', method: 'PUT', label: '🔀 RENAME Doc' },
+  docDeletions: { kind: 'doc', operation: 'delete', method: 'DELETE', label: '🗑️ DELETE Doc' },
+  pageCreations: { kind: 'page', operation: 'create', method: 'POST', label: '➕ CREATE Page' },
+  pageUpdates: { kind: 'page', operation: 'update', method: 'PUT', label: '✏️ UPDATE Page' },
+  pageDeletions: { kind: 'page', operation: 'delete', method: 'DELETE', label: '🗑️ DELETE Page' },
+  changelogCreations: { kind: 'changelog', operation: 'create', method: 'POST', label: '➕ CREATE Changelog' },
+  changelogUpdates: { kind: 'changelog', operation: 'update', method: 'PUT', label: '✏️ UPDATE Changelog' },
+};
+
+const run = {
+  startedAt: new Date().toISOString(),
+  finishedAt: null,
+  dryRun: config.DRY_RUN,
+  version: null,
+  commit: null,
+  status: 'running',
+  error: null,
+};
+const operations = new Map();
+
+const operationKey = (type, slug) => `${type.kind}:${type.operation}:${slug}`;
+
+function setRunInfo(info) {
+  Object.assign(run, info);
+}
+
+function recordPlan(plan) {
+  for (const [planKey, type] of Object.entries(OPERATION_TYPES)) {
+    for (const op of plan[planKey] || []) {
+      operations.set(operationKey(type, op.slug), {
+        kind: type.kind,
+        operation: type.operation,
+        slug: op.slug,
+        category: type.kind === 'category' ? op.slug : (op.doc?.categorySlug ?? op.categorySlug ?? null),
+        method: type.method,
+        reason: op.reason || (op.fromSlug ? `renamed from ${op.fromSlug}` : null),
+        status: 'planned',
+        httpStatus: null,
+        durationMs: null,
+        error: null,
+      });
+    }
+  }
+  for (const skipped of plan.skippedDeletions || []) {
+    const type = OPERATION_TYPES[`${skipped.kind}Deletions`];
+    operations.set(operationKey(type, skipped.slug), {
+      kind: type.kind,
+      operation: type.operation,
+      slug: skipped.slug,
+      category: skipped.kind === 'category' ? skipped.slug : null,
+      method: type.method,
+      reason: 'deletion safeguard',
+      status: 'skipped',
+      httpStatus: null,
+      durationMs: null,
+      error: null,
+    });
+  }
+}
+
+function recordOutcome(type, op, { status = null, httpStatus = null, durationMs = null, error = null }) {
+  const key = operationKey(type, op.slug);
+  const entry = operations.get(key) || { kind: type.kind, operation: type.operation, slug: op.slug, method: type.method };
+  Object.assign(entry, { status: status || (error ? 'failed' : 'succeeded'), httpStatus, durationMs, error });
+  operations.set(key, entry);
+}
+
+function toJSON() {
+  const list = [...operations.values()];
+  const countBy = (status) => list.filter(op => op.status === status).length;
+  return {
+    ...run,
+    summary: {
+      planned: countBy('planned'),
+      succeeded: countBy('succeeded'),
+      failed: countBy('failed'),
+      skipped: countBy('skipped'),
+      alreadyDone: countBy('already-done'), // succeeded in the interrupted run that --resume continues
+    },
+    operations: list,
+  };
+}
+
+const STATUS_ICONS = { planned: '📝', succeeded: '✅', failed: '❌', skipped: '⏭️', 'already-done': '☑️' };
+const escapeCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+function toMarkdown() {
+  const report = toJSON();
+  const lines = [
+    `## ReadMe sync report${report.dryRun ? ' (dry-run)' : ''}`,
+    '',
+    `- Version: ${report.version || 'default'}`,
+    `- Commit: ${report.commit ? `\`${report.commit.slice(0, 7)}\`` : 'unknown'}`,
+    `- Status: ${report.status}${report.error ? ` (${escapeCell(report.error)})` : ''}`,
+    `- Operations: ${report.summary.planned} planned, ${report.summary.succeeded} succeeded, ${report.summary.failed} failed, ${report.summary.skipped} skipped` +
+      (report.summary.alreadyDone > 0 ? `, ${report.summary.alreadyDone} already done in the interrupted run` : ''),
+    '',
+  ];
+
+  if (report.operations.length === 0) {
+    lines.push('No changes to publish.');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| Status | Operation | Slug | Category | Method | HTTP | Duration | Error |');
+  lines.push('| --- | --- | --- | --- | --- | --- | --- | --- |');
+  for (const op of report.operations) {
+    lines.push(`| ${STATUS_ICONS[op.status] || ''} ${op.status} | ${op.operation} ${op.kind} | \`${escapeCell(op.slug)}\` | ${escapeCell(op.category)} | ${op.method} | ${op.httpStatus ?? ''} | ${op.durationMs !== null && op.durationMs !== undefined ? `${op.durationMs} ms` : ''} | ${escapeCell(op.error)} |`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+async function writeReport({ status, error } = {}) {
+  setRunInfo({ status: status || run.status, error: error || null, finishedAt: new Date().toISOString() });
+
+  await fs.ensureDir(path.dirname(config.CONFIG.REPORT_JSON_FILE));
+  await fs.writeJson(config.CONFIG.REPORT_JSON_FILE, toJSON(), { spaces: 2 });
+  await fs.ensureDir(path.dirname(config.CONFIG.REPORT_MARKDOWN_FILE));
+  await fs.writeFile(config.CONFIG.REPORT_MARKDOWN_FILE, toMarkdown(), 'utf8');
+  utils.log(`\n📄 Sync report written to ${path.relative(process.cwd(), config.CONFIG.REPORT_JSON_FILE)} and ${path.relative(process.cwd(), config.CONFIG.REPORT_MARKDOWN_FILE)}.`);
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, toMarkdown() + '\n', 'utf8');
+    utils.log('   - Report added to the GitHub job summary.');
+  }
+}
+
+exports.OPERATION_TYPES = OPERATION_TYPES;
+exports.operationKey = operationKey;
+exports.setRunInfo = setRunInfo;
+exports.recordPlan = recordPlan;
+exports.recordOutcome = recordOutcome;
+exports.toJSON = toJSON;
+exports.toMarkdown = toMarkdown;
+exports.writeReport = writeReport;
@@ -0,0 +1,161 @@
+// scripts/sync/snapshot.js
+
+const fs = require('fs-extra');
+const path = require('path');
+let pMap = require('p-map');
+if (typeof pMap !== 'function') { pMap = pMap.default; }
+const config = require('./config.js');
+const utils = require('./utils.js');
+const apiClient = require('./api-client.js');
+const assetManager = require('./asset-manager.js');
+const stateManager = require('./state-manager.js');
+
+// A snapshot is a full copy of the remote guide categories, docs, custom pages, and changelog, bodies included:
+// { createdAt, version, commit, categories: [{ slug, title, type }],
+//   docs: [{ slug, title, categorySlug, parentDocSlug, order, hidden, excerpt, body }],
+//   pages: [{ slug, title, hidden, htmlmode, body, html }], changelogs: [{ slug, title, type, hidden, body }] }
+
+async function createSnapshot(remoteState, { commit } = {}) {
+  utils.log('\n📸 Taking a snapshot of the remote state before making changes...');
+  const version = apiClient.getTargetVersion();
+
+  const docs = await pMap(
+    [...remoteState.docs.entries()],
+    async ([slug, remoteDoc]) => {
+      const fullDoc = await stateManager.fetchRemoteDoc(slug);
+      return {
+        slug,
+        title: fullDoc.title ?? remoteDoc.title,
+        categorySlug: remoteDoc.categorySlug,
+        parentDocSlug: remoteDoc.parentDocSlug?.toLowerCase() || null,
+        order: remoteDoc.order,
+        hidden: fullDoc.hidden,
+        excerpt: fullDoc.excerpt,
+        body: fullDoc.body,
+      };
+    },
+    { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+  );
+
+  const snapshot = {
+    createdAt: new Date().toISOString(),
+    version,
+    commit: commit || null,
+    categories: [...remoteState.categories.values()].map(({ slug, title, type }) => ({ slug, title, type })),
+    docs,
+    // The remote state already holds the page bodies.
+    pages: [...remoteState.pages.values()].map(({ slug, title, hidden, htmlmode, body, html }) => ({ slug, title, hidden, htmlmode, body, html })),
+    changelogs: [...remoteState.changelogs.values()].map(({ slug, title, type, hidden, body }) => ({ slug, title, type, hidden, body })),
+  };
+
+  const fileName = `${snapshot.createdAt.replace(/[:.]/g, '-')}${version ? `-${version}` : ''}.json`;
+  const filePath = path.join(config.CONFIG.SNAPSHOT_DIR, fileName);
+  await fs.ensureDir(config.CONFIG.SNAPSHOT_DIR);
+  await fs.writeJson(filePath, snapshot, { spaces: 2 });
+  utils.log(`   - Saved ${snapshot.categories.length} categories, ${docs.length} docs, ${snapshot.pages.length} custom pages, and ${snapshot.changelogs.length} changelog entries to ${path.relative(process.cwd(), filePath)}.`);
+
+  if (config.CONFIG.SNAPSHOT_TO_BUCKET && assetManager.isBucketEnabled()) {
+    const key = `${config.CONFIG.S3_SNAPSHOT_PREFIX}/${fileName}`;
+    await assetManager.saveBucketJson(key, snapshot);
+    utils.log(`   - Uploaded snapshot to the bucket as ${key}.`);
+  }
+  return filePath;
+}
+
+// Accepts a file path, a file name inside the snapshot folder, or a key/name in the bucket.
+async function loadSnapshot(ref) {
+  const candidates = [path.resolve(process.cwd(), ref), path.join(config.CONFIG.SNAPSHOT_DIR, ref)];
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) return fs.readJson(candidate);
+  }
+  if (assetManager.isBucketEnabled()) {
+    const key = ref.startsWith(`${config.CONFIG.S3_SNAPSHOT_PREFIX}/`) ? ref : `${config.CONFIG.S3_SNAPSHOT_PREFIX}/${ref}`;
+    const snapshot = await assetManager.fetchBucketJson(key);
+    if (snapshot) return snapshot;
+  }
+  throw new Error(`Snapshot "${ref}" was not found locally or in the bucket.`);
+}
+
+// Pushes a snapshot back through the API: missing categories, docs, custom pages, and changelog
+// entries are created, existing ones are overwritten. Content that was created after the snapshot
+// is left untouched.
+async function restoreSnapshot(snapshot) {
+  // Older snapshots have no custom pages or changelog. They are shared by all versions, so they are
+  // only restored into the version that syncs them.
+  const restoresUnversioned = stateManager.syncsUnversionedContent();
+  const pages = restoresUnversioned ? snapshot.pages || [] : [];
+  const changelogs = restoresUnversioned ? snapshot.changelogs || [] : [];
+  if (!restoresUnversioned && (snapshot.pages?.length || snapshot.changelogs?.length)) {
+    utils.log('ℹ️ Skipping the custom pages and changelog of the snapshot: this version does not sync them.');
+  }
+  utils.log(`\n⏪ Restoring snapshot from ${snapshot.createdAt} (${snapshot.categories.length} categories, ${snapshot.docs.length} docs, ${pages.length} custom pages, ${changelogs.length} changelog entries)...`);
+  const remote = await stateManager.fetchRemoteState();
+  let opsCount = 0;
+
+  for (const category of snapshot.categories) {
+    const remoteCategory = remote.categories.get(category.slug);
+    if (!remoteCategory) {
+      utils.log(`     ➕ CREATE Category: ${category.slug}`);
+      const res = await apiClient.throttledApiCall('post', '/categories', { title: category.title, type: category.type });
+      if (res.data?.slug && res.data.slug.toLowerCase() !== category.slug) {
+        utils.warn(`Category "${category.slug}" was recreated as "${res.data.slug}". Its docs may fail to restore.`);
+      }
+      opsCount++;
+    } else if (remoteCategory.title !== category.title) {
+      utils.log(`     ✏️ UPDATE Category: ${category.slug}`);
+      await apiClient.throttledApiCall('put', `/categories/${category.slug}`, { title: category.title, type: category.type });
+      opsCount++;
+    }
+  }
+
+  const levels = utils.groupByDependencyLevel(snapshot.docs, doc => doc.slug, doc => doc.parentDocSlug);
+  for (const level of levels) {
+    await pMap(
+      level,
+      async (doc) => {
+        const exists = remote.docs.has(doc.slug);
+        utils.log(`     ${exists ? '✏️ UPDATE' : '➕ CREATE'} Doc: ${doc.slug}`);
+        const payload = {
+          title: doc.title,
+          slug: doc.slug,
+          excerpt: doc.excerpt,
+          body: doc.body,
+          categorySlug: doc.categorySlug,
+          parentDocSlug: doc.parentDocSlug || undefined,
+          hidden: doc.hidden,
+          order: doc.order,
+        };
+        await apiClient.throttledApiCall(exists ? 'put' : 'post', exists ? `/docs/${doc.slug}` : '/docs', payload);
+        opsCount++;
+      },
+      { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+    );
+  }
+
+  await pMap(
+    pages,
+    async (page) => {
+      const exists = remote.pages.has(page.slug);
+      utils.log(`     ${exists ? '✏️ UPDATE' : '➕ CREATE'} Page: ${page.slug}`);
+      const payload = { title: page.title, slug: page.slug, hidden: page.hidden, htmlmode: page.htmlmode, body: page.body, html: page.html };
+      await apiClient.throttledApiCall(exists ? 'put' : 'post', exists ? `/custompages/${page.slug}` : '/custompages', payload);
+      opsCount++;
+    },
+    { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+  );
+
+  // Recreated entries are dated today: ReadMe sets the date of a changelog entry when it is created.
+  for (const entry of changelogs) {
+    const exists = remote.changelogs.has(entry.slug);
+    utils.log(`     ${exists ? '✏️ UPDATE' : '➕ CREATE'} Changelog: ${entry.slug}`);
+    const payload = { title: entry.title, slug: entry.slug, type: entry.type, hidden: entry.hidden, body: entry.body };
+    await apiClient.throttledApiCall(exists ? 'put' : 'post', exists ? `/changelogs/${entry.slug}` : '/changelogs', payload);
+    opsCount++;
+  }
+
+  utils.log(`\n✅ Restore complete! Total operations: ${opsCount}`);
+}
+
+exports.createSnapshot = createSnapshot;
+exports.loadSnapshot = loadSnapshot;
+exports.restoreSnapshot = restoreSnapshot;
@@ -10,6 +10,85 @@ const config = require('./config.js');
 const utils = require('./utils.js');
 const apiClient = require('./api-client.js');
 
+// .readmeignore holds one slug (or wildcard pattern, e.g. "legacy-*") per line. "#" starts a comment.
+async function loadReadmeIgnore() {
+  if (!(await fs.pathExists(config.CONFIG.READMEIGNORE_FILE))) return [];
+  const patterns = (await fs.readFile(config.CONFIG.READMEIGNORE_FILE, 'utf8'))
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+    .filter(Boolean);
+  utils.log(`   - Loaded ${patterns.length} protected slug pattern(s) from .readmeignore.`);
+  return patterns;
+}
+
+function createSlugMatcher(patterns) {
+  const regexes = patterns.map(utils.wildcardToRegExp);
+  return (slug) => !!slug && regexes.some(regex => regex.test(slug.toLowerCase()));
+}
+
+// The hierarchy manager writes 9999 for docs without an explicit order.
+const MANIFEST_PLACEHOLDER_ORDER = 9999;
+// Used for docs missing from the manifest that have no order either, so they land at the bottom.
+const FALLBACK_ORDER = 999;
+
+// Flattens .readme-structure.json into a Map of slug -> { categorySlug, parentDocSlug, order }.
+// Docs without an explicit order get one from their position in the (already sorted) tree.
+async function loadStructureManifest() {
+  const relPath = path.relative(process.cwd(), config.CONFIG.STRUCTURE_MANIFEST);
+  if (!(await fs.pathExists(config.CONFIG.STRUCTURE_MANIFEST))) {
+    utils.warn(`No ${relPath} found. Order and parent will be read from front matter only.`);
+    return null;
+  }
+
+  let manifest;
+  try {
+    manifest = await fs.readJson(config.CONFIG.STRUCTURE_MANIFEST);
+  } catch (e) {
+    throw new Error(`Could not parse ${relPath}: ${e.message}. Run the hierarchy manager's 'Rebuild manifest'.`);
+  }
+
+  const entries = new Map();
+  const flatten = (siblings, categorySlug, parentDocSlug) => {
+    let previousOrder = -1;
+    for (const node of siblings || []) {
+      const hasOrder = typeof node.order === 'number' && node.order !== MANIFEST_PLACEHOLDER_ORDER;
+      const order = hasOrder ? node.order : previousOrder + 1;
+      previousOrder = order;
+      entries.set(String(node.slug).toLowerCase(), { categorySlug, parentDocSlug, order, hasOrder });
+      flatten(node.children, categorySlug, String(node.slug).toLowerCase());
+    }
+  };
+  for (const category of manifest.categories || []) {
+    flatten(category.docs, String(category.slug).toLowerCase(), null);
+  }
+  return entries;
+}
+
+function applyStructureManifest(localDocsBySlug, manifestEntries) {
+  for (const doc of localDocsBySlug.values()) {
+    const entry = manifestEntries?.get(doc.slug);
+
+    if (!entry) {
+      if (manifestEntries) utils.warn(`Doc "${doc.slug}" is missing from the structure manifest. Run 'Rebuild manifest'.`);
+      if (typeof doc.order !== 'number') doc.order = FALLBACK_ORDER;
+      continue;
+    }
+
+    if (entry.categorySlug !== doc.categorySlug) {
+      utils.warn(`Doc "${doc.slug}": front matter category "${doc.categorySlug}" disagrees with manifest "${entry.categorySlug}". Keeping the front matter category.`);
+    }
+    if (entry.parentDocSlug !== doc.parentDocSlug) {
+      utils.warn(`Doc "${doc.slug}": front matter parent "${doc.parentDocSlug || 'null'}" disagrees with manifest "${entry.parentDocSlug || 'null'}". Using the manifest.`);
+    }
+    if (typeof doc.order === 'number' && doc.order !== entry.order) {
+      utils.warn(`Doc "${doc.slug}": front matter order ${doc.order} disagrees with manifest ${entry.hasOrder ? entry.order : '(none)'}. Using the manifest.`);
+    }
+
+    doc.parentDocSlug = entry.parentDocSlug;
+    doc.order = entry.order;
+  }
+}
+
 // FIX: This function now builds the local state from the file system first,
 // ensuring that deleted files/categories are correctly identified as missing.
 async function loadLocalState() {
@@ -36,8 +115,8 @@ async function loadLocalState() {
     }
   }
 
-  // Step 2: Find all Markdown files as the ground truth for documents.
-  const localMdFiles = await utils.findMarkdownFiles(config.CONFIG.DOCS_ROOT);
+  // Step 2: Find all Markdown files as the ground truth for documents. Custom pages and changelog entries are loaded separately.
+  const localMdFiles = await utils.findMarkdownFiles(config.CONFIG.DOCS_ROOT, { exclude: [config.CONFIG.PAGES_DIR, config.CONFIG.CHANGELOG_DIR] });
   for (const absPath of localMdFiles) {
     const { fm, content } = await utils.readDoc(absPath);
     const slug = fm.slug?.toLowerCase();
@@ -56,23 +135,121 @@ async function loadLocalState() {
       order: fm.order,
       hidden: !!fm.hidden,
       excerpt: fm.excerpt ?? '',
+      previousSlugs: [].concat(fm.previous_slugs || []).map(s => String(s).toLowerCase()),
       content: content.trim(),
       absPath,
     });
   }
 
-  // Step 3 (Optional but good): Use the manifest to enrich order/parent info if it's missing from front matter.
-  // This part is less critical now, as the primary source is the file system.
-  // For now, we rely purely on the file system's front matter for hierarchy.
+  // Step 3: Load the list of remote slugs the sync must never touch.
+  const ignoredSlugPatterns = await loadReadmeIgnore();
+
+  // Step 4: The reviewed manifest is the source of truth for order and parent.
+  applyStructureManifest(localDocsBySlug, await loadStructureManifest());
+
+  // Used to turn relative links between docs into ReadMe doc links.
+  const docsByPath = new Map([...localDocsBySlug.values()].map(doc => [doc.absPath, doc.slug]));
+
+  const syncsUnversioned = syncsUnversionedContent();
+  if (!syncsUnversioned && ((await fs.pathExists(config.CONFIG.PAGES_DIR)) || (await fs.pathExists(config.CONFIG.CHANGELOG_DIR)))) {
+    const source = config.CONFIG.UNVERSIONED_CONTENT_VERSION ? `version ${config.CONFIG.UNVERSIONED_CONTENT_VERSION}` : 'the default version';
+    utils.log(`ℹ️ Skipping custom pages and the changelog: they are shared by all versions and only synced by runs that target ${source}.`);
+  }
 
-  return { categories: localCategories, docs: localDocsBySlug };
+  return {
+    categories: localCategories,
+    docs: localDocsBySlug,
+    pages: syncsUnversioned ? await loadLocalPages() : null,
+    changelogs: syncsUnversioned ? await loadLocalChangelogs() : null,
+    docsByPath,
+    isIgnoredSlug: createSlugMatcher(ignoredSlugPatterns),
+  };
 }
 
-async function fetchAndPaginateCategories() {
+// Custom pages and the changelog are not versioned in ReadMe. If every branch synced them to its
+// own version, two branches would overwrite (or, with --prune, delete) each other's pages, so only
+// runs that target UNVERSIONED_CONTENT_VERSION (by default, the default version) touch them.
+function syncsUnversionedContent() {
+  return (apiClient.getTargetVersion() || null) === config.CONFIG.UNVERSIONED_CONTENT_VERSION;
+}
+
+// Custom pages live in docs/_pages, one file per page. Returns null when the folder does not
+// exist, so a branch without it never plans to delete the remote pages.
+async function loadLocalPages() {
+  if (!(await fs.pathExists(config.CONFIG.PAGES_DIR))) return null;
+
+  const localPagesBySlug = new Map();
+  for (const absPath of await utils.findMarkdownFiles(config.CONFIG.PAGES_DIR)) {
+    const { fm, content } = await utils.readDoc(absPath);
+    const slug = fm.slug?.toLowerCase();
+    if (!slug) {
+      utils.warn(`Skipping custom page with no slug: ${path.relative(process.cwd(), absPath)}.`);
+      continue;
+    }
+    localPagesBySlug.set(slug, {
+      slug,
+      title: fm.title || 'Untitled',
+      hidden: !!fm.hidden,
+      htmlmode: !!fm.htmlmode, // The body is HTML, sent as the page's `html` instead of its Markdown `body`
+      content: content.trim(),
+      absPath,
+    });
+  }
+  utils.log(`   - Found ${localPagesBySlug.size} local custom pages.`);
+  return localPagesBySlug;
+}
+
+const CHANGELOG_TYPES = ['added', 'improved', 'fixed', 'deprecated', 'removed'];
+const CHANGELOG_FILE_NAME = /^(\d{4}-\d{2}-\d{2})-.+\.mdx?$/;
+
+// Changelog entries live in docs/_changelog, one file per entry, named after its date
+// (e.g., 2024-06-01-new-sdk.md). The slug comes from the front matter, or from the title.
+// Returns null when the folder does not exist.
+async function loadLocalChangelogs() {
+  if (!(await fs.pathExists(config.CONFIG.CHANGELOG_DIR))) return null;
+
+  const localChangelogsBySlug = new Map();
+  for (const absPath of await utils.findMarkdownFiles(config.CONFIG.CHANGELOG_DIR)) {
+    const relPath = path.relative(process.cwd(), absPath);
+    const date = path.basename(absPath).match(CHANGELOG_FILE_NAME)?.[1];
+    if (!date) {
+      utils.warn(`Skipping changelog entry without a date in its file name: ${relPath}. Name it YYYY-MM-DD-title.md.`);
+      continue;
+    }
+    const { fm, content } = await utils.readDoc(absPath);
+    const type = String(fm.type ?? '').toLowerCase();
+    if (type && !CHANGELOG_TYPES.includes(type)) {
+      utils.warn(`Skipping changelog entry with an unknown type "${fm.type}": ${relPath}. Use one of: ${CHANGELOG_TYPES.join(', ')}.`);
+      continue;
+    }
+    const slug = fm.slug ? String(fm.slug).toLowerCase() : utils.slugify(fm.title || '');
+    if (!slug) {
+      utils.warn(`Skipping changelog entry with no slug or title: ${relPath}.`);
+      continue;
+    }
+    if (localChangelogsBySlug.has(slug)) {
+      utils.warn(`Skipping ${relPath}: ${path.relative(process.cwd(), localChangelogsBySlug.get(slug).absPath)} already uses the changelog slug "${slug}".`);
+      continue;
+    }
+    localChangelogsBySlug.set(slug, {
+      slug,
+      title: fm.title || 'Untitled',
+      type,
+      hidden: !!fm.hidden,
+      date,
+      content: content.trim(),
+      absPath,
+    });
+  }
+  utils.log(`   - Found ${localChangelogsBySlug.size} local changelog entries.`);
+  return localChangelogsBySlug;
+}
+
+async function fetchAndPaginate(endpoint) {
   const all = [];
   let page = 1;
   while (true) {
-    const res = await apiClient.throttledApiCall('get', '/categories', { page, perPage: 100 });
+    const res = await apiClient.throttledApiCall('get', endpoint, { page, perPage: 100 });
     if (!res.data || res.data.length === 0) break;
     all.push(...res.data);
     if (res.data.length < 100) break;
@@ -97,12 +274,23 @@ function flattenRemoteDocs(nestedDocs, categorySlug, parentSlug, remoteDocs) {
   }
 }
 
+async function verifyRemoteVersion(version) {
+  try {
+    await apiClient.throttledApiCall('get', `/version/${encodeURIComponent(version)}`);
+  } catch (e) {
+    throw new Error(`Target ReadMe version "${version}" could not be verified: ${e.message}`);
+  }
+}
+
 async function fetchRemoteState() {
-  utils.log('2. Fetching remote state from ReadMe...');
+  const version = apiClient.getTargetVersion();
+  utils.log(`2. Fetching remote state from ReadMe${version ? ` (version ${version})` : ' (default version)'}...`);
+  if (version) await verifyRemoteVersion(version);
+
   const remoteCategories = new Map();
   const remoteDocs = new Map();
 
-  const allCategoriesData = await fetchAndPaginateCategories();
+  const allCategoriesData = await fetchAndPaginate('/categories');
   const remoteCategoryList = allCategoriesData.filter(c => c.type === 'guide');
   utils.log(`   - Found ${remoteCategoryList.length} remote guide categories.`);
 
@@ -124,8 +312,76 @@ async function fetchRemoteState() {
   );
 
   utils.log(`   - Found ${remoteDocs.size} remote docs with details.`);
-  return { categories: remoteCategories, docs: remoteDocs };
+
+  // Custom pages are not versioned in ReadMe: every version shares the same pages.
+  const remotePages = new Map();
+  for (const page of await fetchAndPaginate('/custompages')) {
+    remotePages.set(page.slug.toLowerCase(), toPageRecord(page));
+  }
+  utils.log(`   - Found ${remotePages.size} remote custom pages.`);
+
+  const remoteChangelogs = await fetchRemoteChangelogs();
+  utils.log(`   - Found ${remoteChangelogs.size} remote changelog entries.`);
+
+  return { categories: remoteCategories, docs: remoteDocs, pages: remotePages, changelogs: remoteChangelogs };
+}
+
+// Like custom pages, the changelog is shared by every version.
+async function fetchRemoteChangelogs() {
+  const remoteChangelogs = new Map();
+  for (const entry of await fetchAndPaginate('/changelogs')) {
+    remoteChangelogs.set(entry.slug.toLowerCase(), toChangelogRecord(entry));
+  }
+  return remoteChangelogs;
+}
+
+const toChangelogRecord = (entry) => ({
+  id: entry._id,
+  slug: entry.slug.toLowerCase(),
+  title: entry.title,
+  type: entry.type || '',
+  hidden: !!entry.hidden,
+  body: entry.body || '',
+  createdAt: entry.createdAt || null,
+});
+
+const toPageRecord = (page) => ({
+  id: page._id,
+  slug: page.slug.toLowerCase(),
+  title: page.title,
+  hidden: !!page.hidden,
+  htmlmode: !!page.htmlmode,
+  body: page.body || '',
+  html: page.html || '',
+});
+
+async function fetchRemoteDoc(slug) {
+  const res = await apiClient.throttledApiCall('get', `/docs/${slug}`);
+  const doc = res.data || {};
+  return {
+    slug: (doc.slug || slug).toLowerCase(),
+    title: doc.title,
+    body: doc.body || '',
+    excerpt: doc.excerpt || '',
+    hidden: !!doc.hidden,
+  };
+}
+
+async function fetchRemotePage(slug) {
+  const res = await apiClient.throttledApiCall('get', `/custompages/${slug}`);
+  return toPageRecord({ slug, ...res.data });
+}
+
+async function fetchRemoteChangelog(slug) {
+  const res = await apiClient.throttledApiCall('get', `/changelogs/${slug}`);
+  return toChangelogRecord({ slug, ...res.data });
 }
 
 exports.loadLocalState = loadLocalState;
+exports.loadLocalChangelogs = loadLocalChangelogs;
+exports.syncsUnversionedContent = syncsUnversionedContent;
+exports.fetchRemoteDoc = fetchRemoteDoc;
+exports.fetchRemotePage = fetchRemotePage;
+exports.fetchRemoteChangelogs = fetchRemoteChangelogs;
+exports.fetchRemoteChangelog = fetchRemoteChangelog;
 exports.fetchRemoteState = fetchRemoteState;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// scripts/sync/storage/azure.js
+
+const { VersionConflictError } = require('./errors.js');
+
+// Azure Blob Storage. Credentials come from AZURE_STORAGE_CONNECTION_STRING.
+function createAzureStorage(CONFIG) {
+  let BlobServiceClient;
+  try {
+    ({ BlobServiceClient } = require('@azure/storage-blob'));
+  } catch (e) {
+    throw new Error('ASSET_STORAGE=azure requires the "@azure/storage-blob" package. Run: npm install @azure/storage-blob');
+  }
+  const container = BlobServiceClient
+    .fromConnectionString(CONFIG.AZURE_STORAGE_CONNECTION_STRING)
+    .getContainerClient(CONFIG.AZURE_STORAGE_CONTAINER);
+  const publicUrlBase = (CONFIG.ASSET_PUBLIC_URL_BASE || container.url).replace(/\/$/, '');
+  const publicUrl = (key) => `${publicUrlBase}/${key}`;
+
+  // Versions are ETags.
+  const getVersioned = async (key) => {
+    const blob = container.getBlockBlobClient(key);
+    try {
+      const { etag } = await blob.getProperties();
+      const body = await blob.downloadToBuffer(0, undefined, { conditions: { ifMatch: etag } });
+      return { body, version: etag };
+    } catch (e) {
+      if (e.statusCode === 404) return null;
+      // The blob changed between the two calls.
+      if (e.statusCode === 412) return getVersioned(key);
+      throw e;
+    }
+  };
+
+  return {
+    name: 'Azure Blob Storage',
+    publicUrl,
+
+    async put(key, body, { contentType, cacheControl, metadata, ifVersion } = {}) {
+      const data = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      try {
+        await container.getBlockBlobClient(key).uploadData(data, {
+          blobHTTPHeaders: { blobContentType: contentType, blobCacheControl: cacheControl },
+          metadata,
+          ...(ifVersion === null ? { conditions: { ifNoneMatch: '*' } } : {}),
+          ...(ifVersion ? { conditions: { ifMatch: ifVersion } } : {}),
+        });
+      } catch (e) {
+        // 409 (BlobAlreadyExists) is returned for ifNoneMatch, 412 for ifMatch.
+        if ([409, 412].includes(e.statusCode)) throw new VersionConflictError(key);
+        throw e;
+      }
+      return publicUrl(key);
+    },
+
+    async get(key) {
+      const stored = await getVersioned(key);
+      return stored ? stored.body : null;
+    },
+
+    getVersioned,
+
+    async delete(keys) {
+      const deleted = [];
+      const errors = [];
+      for (const key of keys) {
+        try {
+          await container.getBlockBlobClient(key).deleteIfExists();
+          deleted.push(key);
+        } catch (e) {
+          errors.push({ key, message: e.message });
+        }
+      }
+      return { deleted, errors };
+    },
+
+    async list(prefix) {
+      const keys = [];
+      for await (const blob of container.listBlobsFlat({ prefix })) keys.push(blob.name);
+      return keys;
+    },
+  };
+}
+
+module.exports = createAzureStorage;
@@ -0,0 +1,145 @@
+// scripts/sync/storage/cloudinary.js
+
+const path = require('path');
+const axios = require('axios');
+const { VersionConflictError } = require('./errors.js');
+
+const IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp']);
+
+// Cloudinary. Images are uploaded as image resources (so Cloudinary transformations work),
+// everything else, including the manifest, as raw files. The public URL is the `secure_url`
+// returned by Cloudinary, so ASSET_PUBLIC_URL_BASE is not used.
+// Credentials come from CLOUDINARY_URL or CLOUDINARY_CLOUD_NAME/API_KEY/API_SECRET.
+// Versions are Cloudinary resource versions. Cloudinary has no conditional uploads, so ifVersion
+// is checked right before the upload: this narrows the race between two writers but cannot close it.
+function createCloudinaryStorage(CONFIG) {
+  let cloudinary;
+  try {
+    cloudinary = require('cloudinary').v2;
+  } catch (e) {
+    throw new Error('ASSET_STORAGE=cloudinary requires the "cloudinary" package. Run: npm install cloudinary');
+  }
+  if (!process.env.CLOUDINARY_URL) {
+    cloudinary.config({
+      cloud_name: CONFIG.CLOUDINARY_CLOUD_NAME,
+      api_key: CONFIG.CLOUDINARY_API_KEY,
+      api_secret: CONFIG.CLOUDINARY_API_SECRET,
+    });
+  }
+  cloudinary.config({ secure: true, analytics: false });
+
+  // Image public ids have no extension, raw ones keep it.
+  const toResource = (key) => {
+    const ext = path.extname(key).toLowerCase();
+    return IMAGE_EXTENSIONS.has(ext)
+      ? { resourceType: 'image', publicId: key.slice(0, -ext.length), format: ext.slice(1) }
+      : { resourceType: 'raw', publicId: key, format: undefined };
+  };
+
+  // Resolves to the resource details, or null if it does not exist.
+  const getResource = async (key) => {
+    const { resourceType, publicId } = toResource(key);
+    try {
+      return await cloudinary.api.resource(publicId, { resource_type: resourceType });
+    } catch (e) {
+      if (e.error?.http_code === 404) return null;
+      throw new Error(e.error?.message || e.message);
+    }
+  };
+
+  const getVersioned = async (key) => {
+    const resource = await getResource(key);
+    if (!resource) return null;
+    // The versioned secure_url bypasses stale CDN copies of the file.
+    const response = await axios.get(resource.secure_url, { responseType: 'arraybuffer' });
+    return { body: Buffer.from(response.data), version: String(resource.version) };
+  };
+
+  return {
+    name: 'Cloudinary',
+
+    // logo.png and logo.jpg in the same folder share one public id.
+    objectId(key) {
+      const { resourceType, publicId } = toResource(key);
+      return `${resourceType}:${publicId}`;
+    },
+
+    publicUrl(key) {
+      const { resourceType, publicId, format } = toResource(key);
+      return cloudinary.url(publicId, { resource_type: resourceType, format });
+    },
+
+    async put(key, body, { metadata, ifVersion } = {}) {
+      const { resourceType, publicId } = toResource(key);
+      if (ifVersion !== undefined) {
+        const current = await getResource(key);
+        if ((current ? String(current.version) : null) !== ifVersion) throw new VersionConflictError(key);
+      }
+      const result = await new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            public_id: publicId,
+            resource_type: resourceType,
+            overwrite: true,
+            invalidate: true,
+            // The key is kept in the context, as Cloudinary may normalize the format (jpeg -> jpg).
+            context: { ...metadata, key },
+          },
+          (error, res) => (error ? reject(new Error(error.message)) : resolve(res))
+        );
+        stream.end(Buffer.isBuffer(body) ? body : Buffer.from(body));
+      });
+      return result.secure_url;
+    },
+
+    async get(key) {
+      const stored = await getVersioned(key);
+      return stored ? stored.body : null;
+    },
+
+    getVersioned,
+
+    async delete(keys) {
+      const deleted = [];
+      const errors = [];
+      for (const resourceType of ['image', 'raw']) {
+        const resources = keys.map(key => ({ key, ...toResource(key) })).filter(r => r.resourceType === resourceType);
+        const keyByPublicId = new Map(resources.map(r => [r.publicId, r.key]));
+        const publicIds = [...keyByPublicId.keys()];
+        // delete_resources accepts at most 100 public ids per call.
+        for (let i = 0; i < publicIds.length; i += 100) {
+          const result = await cloudinary.api.delete_resources(publicIds.slice(i, i + 100), { resource_type: resourceType, invalidate: true });
+          for (const [publicId, status] of Object.entries(result.deleted || {})) {
+            if (status === 'deleted' || status === 'not_found') deleted.push(keyByPublicId.get(publicId));
+            else errors.push({ key: keyByPublicId.get(publicId), message: status });
+          }
+        }
+      }
+      return { deleted, errors };
+    },
+
+    async list(prefix) {
+      const keys = [];
+      for (const resourceType of ['image', 'raw']) {
+        let nextCursor;
+        do {
+          const result = await cloudinary.api.resources({
+            type: 'upload',
+            resource_type: resourceType,
+            prefix,
+            max_results: 500,
+            next_cursor: nextCursor,
+            context: true,
+          });
+          result.resources.forEach(r => keys.push(
+            r.context?.custom?.key || (resourceType === 'image' ? `${r.public_id}.${r.format}` : r.public_id)
+          ));
+          nextCursor = result.next_cursor;
+        } while (nextCursor);
+      }
+      return keys;
+    },
+  };
+}
+
+module.exports = createCloudinaryStorage;
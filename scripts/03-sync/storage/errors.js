@@ -0,0 +1,13 @@
+// scripts/sync/storage/errors.js
+
+// Thrown by put() when its ifVersion condition does not hold, i.e. another writer created or
+// changed the object since it was read.
+class VersionConflictError extends Error {
+  constructor(key) {
+    super(`${key} was changed by another writer.`);
+    this.name = 'VersionConflictError';
+    this.key = key;
+  }
+}
+
+exports.VersionConflictError = VersionConflictError;
@@ -0,0 +1,79 @@
+// scripts/sync/storage/gcs.js
+
+const { VersionConflictError } = require('./errors.js');
+
+// Google Cloud Storage. Credentials come from Application Default Credentials
+// (GOOGLE_APPLICATION_CREDENTIALS, or the workload identity of the CI runner).
+// Versions are object generations.
+function createGcsStorage(CONFIG) {
+  let Storage;
+  try {
+    ({ Storage } = require('@google-cloud/storage'));
+  } catch (e) {
+    throw new Error('ASSET_STORAGE=gcs requires the "@google-cloud/storage" package. Run: npm install @google-cloud/storage');
+  }
+  const bucket = new Storage().bucket(CONFIG.GCS_BUCKET_NAME);
+  const publicUrlBase = (CONFIG.ASSET_PUBLIC_URL_BASE || `https://storage.googleapis.com/${CONFIG.GCS_BUCKET_NAME}`).replace(/\/$/, '');
+  const publicUrl = (key) => `${publicUrlBase}/${key}`;
+
+  const getVersioned = async (key) => {
+    try {
+      const [metadata] = await bucket.file(key).getMetadata();
+      // Download the generation we got the metadata of, even if a newer one was written since.
+      const [contents] = await bucket.file(key, { generation: metadata.generation }).download();
+      return { body: contents, version: String(metadata.generation) };
+    } catch (e) {
+      if (e.code === 404) return null;
+      throw e;
+    }
+  };
+
+  return {
+    name: 'Google Cloud Storage',
+    publicUrl,
+
+    async put(key, body, { contentType, cacheControl, metadata, ifVersion } = {}) {
+      try {
+        await bucket.file(key).save(body, {
+          resumable: false,
+          contentType,
+          metadata: { cacheControl, metadata },
+          // Generation 0 means "the object does not exist".
+          ...(ifVersion !== undefined ? { preconditionOpts: { ifGenerationMatch: ifVersion === null ? 0 : Number(ifVersion) } } : {}),
+        });
+      } catch (e) {
+        if (e.code === 412) throw new VersionConflictError(key);
+        throw e;
+      }
+      return publicUrl(key);
+    },
+
+    async get(key) {
+      const stored = await getVersioned(key);
+      return stored ? stored.body : null;
+    },
+
+    getVersioned,
+
+    async delete(keys) {
+      const deleted = [];
+      const errors = [];
+      for (const key of keys) {
+        try {
+          await bucket.file(key).delete({ ignoreNotFound: true });
+          deleted.push(key);
+        } catch (e) {
+          errors.push({ key, message: e.message });
+        }
+      }
+      return { deleted, errors };
+    },
+
+    async list(prefix) {
+      const [files] = await bucket.getFiles({ prefix });
+      return files.map(file => file.name);
+    },
+  };
+}
+
+module.exports = createGcsStorage;
@@ -0,0 +1,56 @@
+// scripts/sync/storage/index.js
+
+// Every asset storage provider implements the same small interface:
+//   name                          Label used in logs.
+//   publicUrl(key)                The URL a key will be served from.
+//   put(key, body, options)       Uploads a Buffer or string. Options: { contentType, cacheControl, metadata, ifVersion }.
+//                                 Resolves to the public URL of the uploaded file. With ifVersion, the write only
+//                                 happens if the object is still at that version (null: if it does not exist yet),
+//                                 otherwise it rejects with a VersionConflictError.
+//   get(key)                      Resolves to a Buffer, or null if the key does not exist.
+//   getVersioned(key)             Resolves to { body, version }, or null. The version is an opaque string (ETag, generation...).
+//   delete(keys)                  Resolves to { deleted: [key], errors: [{ key, message }] }.
+//   list(prefix)                  Resolves to every key that starts with prefix.
+//   objectId(key)                 Optional. The id the provider stores a key under, when two keys can share one.
+// createStorage() adds the JSON helpers on top of it.
+const { VersionConflictError } = require('./errors.js');
+const PROVIDERS = {
+  s3: require('./s3.js'),
+  local: require('./local.js'),
+  cloudinary: require('./cloudinary.js'),
+  gcs: require('./gcs.js'),
+  azure: require('./azure.js'),
+};
+
+const JSON_CACHE_CONTROL = 'no-cache, no-store, must-revalidate';
+
+function createStorage(CONFIG) {
+  if (!CONFIG.ASSET_STORAGE) return null;
+  const createProvider = PROVIDERS[CONFIG.ASSET_STORAGE];
+  if (!createProvider) {
+    throw new Error(`Unknown ASSET_STORAGE "${CONFIG.ASSET_STORAGE}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  const provider = createProvider(CONFIG);
+
+  const getJson = async (key) => {
+    const raw = await provider.get(key);
+    return raw === null ? null : JSON.parse(raw.toString('utf-8'));
+  };
+  // Resolves to { object, version }, or null if the key does not exist.
+  const getJsonVersioned = async (key) => {
+    const stored = await provider.getVersioned(key);
+    return stored === null ? null : { object: JSON.parse(stored.body.toString('utf-8')), version: stored.version };
+  };
+  const putJson = (key, object, { ifVersion } = {}) =>
+    provider.put(key, JSON.stringify(object, null, 2), { contentType: 'application/json', cacheControl: JSON_CACHE_CONTROL, ifVersion });
+
+  return {
+    ...provider,
+    getJson,
+    getJsonVersioned,
+    putJson,
+  };
+}
+
+exports.createStorage = createStorage;
+exports.VersionConflictError = VersionConflictError;
@@ -0,0 +1,79 @@
+// scripts/sync/storage/local.js
+
+const fs = require('fs-extra');
+const { VersionConflictError } = require('./errors.js');
+const path = require('path');
+const crypto = require('crypto');
+const fg = require('fast-glob');
+
+// A plain directory (e.g., a static site's public folder) that another pipeline publishes
+// under ASSET_PUBLIC_URL_BASE. Cache headers and metadata are left to that pipeline.
+// Versions are content hashes, so conditional writes only protect runs on the same machine.
+function createLocalStorage(CONFIG) {
+  const rootDir = path.resolve(process.cwd(), CONFIG.ASSET_LOCAL_DIR);
+  const publicUrl = (key) => `${CONFIG.ASSET_PUBLIC_URL_BASE.replace(/\/$/, '')}/${key}`;
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) throw new Error(`Storage key "${key}" points outside ${rootDir}.`);
+    return filePath;
+  };
+  const toVersion = (body) => crypto.createHash('sha1').update(body).digest('hex');
+
+  const getVersioned = async (key) => {
+    const filePath = resolveKey(key);
+    if (!(await fs.pathExists(filePath))) return null;
+    const body = await fs.readFile(filePath);
+    return { body, version: toVersion(body) };
+  };
+
+  return {
+    name: 'local directory',
+    publicUrl,
+
+    async put(key, body, { ifVersion } = {}) {
+      const filePath = resolveKey(key);
+      await fs.ensureDir(path.dirname(filePath));
+      if (ifVersion) {
+        const current = await getVersioned(key);
+        if (!current || current.version !== ifVersion) throw new VersionConflictError(key);
+      }
+      try {
+        // The "wx" flag fails if the file exists, which makes ifVersion: null atomic.
+        await fs.writeFile(filePath, body, ifVersion === null ? { flag: 'wx' } : {});
+      } catch (e) {
+        if (e.code === 'EEXIST') throw new VersionConflictError(key);
+        throw e;
+      }
+      return publicUrl(key);
+    },
+
+    async get(key) {
+      const stored = await getVersioned(key);
+      return stored ? stored.body : null;
+    },
+
+    getVersioned,
+
+    async delete(keys) {
+      const deleted = [];
+      const errors = [];
+      for (const key of keys) {
+        try {
+          await fs.remove(resolveKey(key));
+          deleted.push(key);
+        } catch (e) {
+          errors.push({ key, message: e.message });
+        }
+      }
+      return { deleted, errors };
+    },
+
+    async list(prefix) {
+      const files = await fg('**/*', { cwd: rootDir, onlyFiles: true, dot: true });
+      return files.filter(key => key.startsWith(prefix));
+    },
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,87 @@
+// scripts/sync/storage/s3.js
+
+const { VersionConflictError } = require('./errors.js');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectsCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+// AWS S3 and S3-compatible services (MinIO, Cloudflare R2, DigitalOcean Spaces...).
+// Credentials come from the environment (IAM role, AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY).
+function createS3Storage(CONFIG) {
+  const client = new S3Client({
+    region: CONFIG.S3_REGION || 'auto',
+    ...(CONFIG.S3_ENDPOINT ? { endpoint: CONFIG.S3_ENDPOINT } : {}),
+    forcePathStyle: CONFIG.S3_FORCE_PATH_STYLE,
+  });
+  const bucket = CONFIG.S3_BUCKET_NAME;
+  const publicUrl = (key) => `${CONFIG.ASSET_PUBLIC_URL_BASE.replace(/\/$/, '')}/${key}`;
+
+  const getVersioned = async (key) => {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return { body: Buffer.from(await response.Body.transformToByteArray()), version: response.ETag };
+    } catch (e) {
+      if (e.name === 'NoSuchKey') return null;
+      throw e;
+    }
+  };
+
+  return {
+    name: 'S3',
+    publicUrl,
+
+    async put(key, body, { contentType, cacheControl, metadata, ifVersion } = {}) {
+      try {
+        await client.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+          Metadata: metadata,
+          // Conditional writes: 412 if the ETag changed, or if the object exists for If-None-Match.
+          ...(ifVersion === null ? { IfNoneMatch: '*' } : {}),
+          ...(ifVersion ? { IfMatch: ifVersion } : {}),
+        }));
+      } catch (e) {
+        // 409 means a concurrent conditional write to the same key won.
+        if ([409, 412].includes(e.$metadata?.httpStatusCode)) throw new VersionConflictError(key);
+        throw e;
+      }
+      return publicUrl(key);
+    },
+
+    async get(key) {
+      const stored = await getVersioned(key);
+      return stored ? stored.body : null;
+    },
+
+    getVersioned,
+
+    async delete(keys) {
+      const deleted = [];
+      const errors = [];
+      // DeleteObjects accepts at most 1000 keys per request.
+      for (let i = 0; i < keys.length; i += 1000) {
+        const result = await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(key => ({ Key: key })), Quiet: false },
+        }));
+        (result.Deleted || []).forEach(d => deleted.push(d.Key));
+        (result.Errors || []).forEach(e => errors.push({ key: e.Key, message: e.Message }));
+      }
+      return { deleted, errors };
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const result = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        (result.Contents || []).forEach(object => keys.push(object.Key));
+        ContinuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys;
+    },
+  };
+}
+
+module.exports = createS3Storage;
@@ -3,57 +3,218 @@
 let pMap = require('p-map'); // <-- ADD THIS LINE
 if (typeof pMap !== 'function') { pMap = pMap.default; }
 const apiClient = require('./api-client.js');
-const assetManager = require('./asset-manager.js');
 const config = require('./config.js');
 const utils = require('./utils.js');
+const report = require('./report.js');
+const redirectMap = require('./redirect-map.js');
+const journal = require('./journal.js');
+const syncLock = require('./sync-lock.js');
 
 async function executeSyncPlan(plan, localState) {
-  utils.log('\n5. Executing Document/Category Plan...');
+  const version = apiClient.getTargetVersion();
+  utils.log(`\n5. Executing Document/Category Plan${version ? ` against version ${version}` : ''}...`);
   let opsCount = 0;
+  let currentPhase = null;
+  const types = report.OPERATION_TYPES;
 
-  const execute = (items, message, action) =>
-    pMap(items, async op => {
-      utils.log(`     ${message}: ${op.slug}`);
-      await action(op);
-      opsCount++;
+  // With --continue-on-error, failures are collected instead of aborting the run, and operations
+  // that depend on a failed one are skipped. Without it, the first failure is rethrown.
+  const failures = [];
+  const skipped = [];
+  const failedCategories = new Set(); // categories that were not created
+  const failedDocs = new Set(); // docs that were not created or renamed
+  const keptDocs = new Set(); // docs that still exist because a child was not deleted
+  const keptCategories = new Set(); // categories that still contain a doc that was not deleted
+
+  const startPhase = (title) => {
+    currentPhase = title;
+    utils.log(`\n   >> ${title}`);
+  };
+
+  const getFailedDependency = (type, op) => {
+    if (type.kind === 'page' || type.kind === 'changelog') return null; // Custom pages and changelog entries do not depend on anything
+    if (type.kind === 'category') {
+      return type.operation === 'delete' && keptCategories.has(op.slug) ? `a doc in category ${op.slug} was not deleted` : null;
+    }
+    if (type.operation === 'delete') {
+      return keptDocs.has(op.slug) ? `a child of ${op.slug} was not deleted` : null;
+    }
+    if (failedCategories.has(op.doc.categorySlug)) return `category ${op.doc.categorySlug} was not created`;
+    if (op.doc.parentDocSlug && failedDocs.has(op.doc.parentDocSlug)) return `parent doc ${op.doc.parentDocSlug} was not created`;
+    return null;
+  };
+
+  const markNotApplied = (type, op) => {
+    if (type === types.categoryCreations) failedCategories.add(op.slug);
+    if (type === types.docCreations || type === types.docRenames) failedDocs.add(op.slug);
+    if (type === types.docDeletions) {
+      if (op.parentDocSlug) keptDocs.add(op.parentDocSlug);
+      if (op.categorySlug) keptCategories.add(op.categorySlug);
+    }
+  };
+
+  // Resolves to the operations that were applied, by this run or by the interrupted run it resumes.
+  const execute = async (items, type, action) => {
+    const results = await pMap(items, async op => {
+      if (journal.isCompleted(type, op)) {
+        utils.log(`     ⏭️ ${type.label}: ${op.slug} (already done in the interrupted run)`);
+        report.recordOutcome(type, op, { status: 'already-done' });
+        return op;
+      }
+      const failedDependency = getFailedDependency(type, op);
+      if (failedDependency) {
+        utils.log(`     ⏭️ ${type.label}: ${op.slug} (skipped, ${failedDependency})`);
+        report.recordOutcome(type, op, { status: 'skipped', error: `Skipped because ${failedDependency}` });
+        skipped.push({ phase: currentPhase, type, slug: op.slug, reason: failedDependency });
+        markNotApplied(type, op);
+        return null;
+      }
+      utils.log(`     ${type.label}: ${op.slug}`);
+      const startedAt = Date.now();
+      try {
+        const res = await action(op);
+        report.recordOutcome(type, op, { httpStatus: res?.status ?? null, durationMs: Date.now() - startedAt });
+        journal.recordOutcome(type, op, { httpStatus: res?.status ?? null });
+        if (res?.status !== 404) opsCount++;
+        return op;
+      } catch (e) {
+        report.recordOutcome(type, op, { httpStatus: e.status ?? null, durationMs: Date.now() - startedAt, error: e.message });
+        journal.recordOutcome(type, op, { httpStatus: e.status ?? null, error: e.message });
+        if (!config.CONTINUE_ON_ERROR || e instanceof syncLock.SyncLockLostError) throw e;
+        utils.err(`  ${type.label} failed: ${op.slug}: ${e.message}`);
+        failures.push({ phase: currentPhase, type, slug: op.slug, status: e.status ?? null, error: e.data ? JSON.stringify(e.data) : e.message });
+        markNotApplied(type, op);
+        return null;
+      }
     }, { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS });
+    return results.filter(Boolean);
+  };
 
-  const processAndPushDoc = async ({ slug, doc }, method) => {
-    const finalContent = await assetManager.prepareDocBody(doc, localState.hashManifest);
+  const processAndPushDoc = async ({ slug, doc, fromSlug }, method) => {
     const payload = {
       title: doc.title,
       slug,
       excerpt: doc.excerpt,
-      body: finalContent,
+      body: localState.preparedBodies.get(doc),
       categorySlug: doc.categorySlug,
       parentDocSlug: doc.parentDocSlug || undefined,
       hidden: doc.hidden,
       order: doc.order,
       type: doc.type,
     };
-    await apiClient.throttledApiCall(method, `/docs${method === 'put' ? `/${slug}` : ''}`, payload);
+    // A rename is a PUT on the old slug that carries the new slug in its payload.
+    return apiClient.throttledApiCall(method, `/docs${method === 'put' ? `/${fromSlug || slug}` : ''}`, payload);
+  };
+
+  // Custom pages are sent with their Markdown as `body`, or as `html` in HTML mode.
+  const processAndPushPage = async ({ slug, page }, method) => {
+    const payload = {
+      title: page.title,
+      slug,
+      hidden: page.hidden,
+      htmlmode: page.htmlmode,
+      [page.htmlmode ? 'html' : 'body']: localState.preparedBodies.get(page),
+    };
+    const res = await apiClient.throttledApiCall(method, `/custompages${method === 'put' ? `/${slug}` : ''}`, payload);
+    if (method === 'post') warnOnDerivedSlug('Custom page', slug, res);
+    return res;
+  };
+
+  const processAndPushChangelog = async ({ slug, entry }, method) => {
+    const payload = {
+      title: entry.title,
+      slug,
+      type: entry.type,
+      hidden: entry.hidden,
+      body: localState.preparedBodies.get(entry),
+    };
+    const res = await apiClient.throttledApiCall(method, `/changelogs${method === 'put' ? `/${slug}` : ''}`, payload);
+    if (method === 'post') warnOnDerivedSlug('Changelog entry', slug, res);
+    return res;
   };
 
-  utils.log('\n   >> Phase 5A: Category Creations & Updates');
-  await execute(plan.categoryCreations, '➕ CREATE Category', op => apiClient.throttledApiCall('post', '/categories', { title: op.title, type: op.type }));
-  await execute(plan.categoryUpdates, '✏️ UPDATE Category', op => apiClient.throttledApiCall('put', `/categories/${op.slug}`, { title: op.title, type: op.type }));
+  startPhase('Phase 5A: Category Creations & Updates');
+  await execute(plan.categoryCreations, types.categoryCreations, op => apiClient.throttledApiCall('post', '/categories', { title: op.title, type: op.type }));
+  await execute(plan.categoryUpdates, types.categoryUpdates, op => apiClient.throttledApiCall('put', `/categories/${op.slug}`, { title: op.title, type: op.type }));
 
-  utils.log('\n   >> Phase 5B: Doc Deletions');
-  await pMap(plan.docDeletions, async (op) => {
-    utils.log(`     🗑️ DELETE Doc: ${op.slug}`);
-    const res = await apiClient.throttledApiCall('delete', `/docs/${op.slug}`);
-    if (res.status === 204) opsCount++;
-    else if (res.status === 404) utils.warn(`Doc ${op.slug} was already deleted.`);
-  }, { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS });
+  startPhase('Phase 5B: Doc Deletions');
+  // Child-first, so a parent is never deleted while its children still exist.
+  const docDeletionLevels = utils.groupByDependencyLevel(plan.docDeletions, op => op.slug, op => op.parentDocSlug).reverse();
+  for (const level of docDeletionLevels) {
+    await execute(level, types.docDeletions, async (op) => {
+      const res = await apiClient.throttledApiCall('delete', `/docs/${op.slug}`);
+      if (res.status === 404) utils.warn(`Doc ${op.slug} was already deleted.`);
+      return res;
+    });
+  }
 
-  utils.log('\n   >> Phase 5C: Category Deletions');
-  await execute(plan.categoryDeletions, '🗑️ DELETE Category', op => apiClient.throttledApiCall('delete', `/categories/${op.slug}`));
+  startPhase('Phase 5C: Category Deletions');
+  await execute(plan.categoryDeletions, types.categoryDeletions, op => apiClient.throttledApiCall('delete', `/categories/${op.slug}`));
 
-  utils.log('\n   >> Phase 5D: Doc Creations & Updates');
-  await execute(plan.docCreations, '➕ CREATE Doc', op => processAndPushDoc(op, 'post'));
-  await execute(plan.docUpdates, '✏️ UPDATE Doc', op => processAndPushDoc(op, 'put'));
+  startPhase('Phase 5D: Doc Creations & Updates');
+  // Renames and creations run parent-first, level by level (concurrently within a level),
+  // so a child never reaches the API before the parent slug it points to exists.
+  const renameSlugs = new Set(plan.docRenames.map(op => op.slug));
+  const creationLevels = utils.groupByDependencyLevel([...plan.docRenames, ...plan.docCreations], op => op.slug, op => op.doc.parentDocSlug);
+  const appliedRenames = [];
+  for (const level of creationLevels) {
+    appliedRenames.push(...await execute(level.filter(op => renameSlugs.has(op.slug)), types.docRenames, op => processAndPushDoc(op, 'put')));
+    await execute(level.filter(op => !renameSlugs.has(op.slug)), types.docCreations, op => processAndPushDoc(op, 'post'));
+  }
+  // Failed or skipped renames (with --continue-on-error) left the old slug in place, so they get no redirect.
+  await redirectMap.recordRedirects(appliedRenames);
+  await execute(plan.docUpdates, types.docUpdates, op => processAndPushDoc(op, 'put'));
+
+  startPhase('Phase 5E: Custom Pages');
+  // A journal written before custom pages were synced has no page operations.
+  await execute(plan.pageDeletions || [], types.pageDeletions, async (op) => {
+    const res = await apiClient.throttledApiCall('delete', `/custompages/${op.slug}`);
+    if (res.status === 404) utils.warn(`Custom page ${op.slug} was already deleted.`);
+    return res;
+  });
+  await execute(plan.pageCreations || [], types.pageCreations, op => processAndPushPage(op, 'post'));
+  await execute(plan.pageUpdates || [], types.pageUpdates, op => processAndPushPage(op, 'put'));
+
+  startPhase('Phase 5F: Changelog');
+  // One at a time, oldest first: ReadMe lists changelog entries by creation date.
+  const changelogCreations = [...(plan.changelogCreations || [])].sort((a, b) => a.entry.date.localeCompare(b.entry.date));
+  for (const creation of changelogCreations) {
+    await execute([creation], types.changelogCreations, op => processAndPushChangelog(op, 'post'));
+  }
+  await execute(plan.changelogUpdates || [], types.changelogUpdates, op => processAndPushChangelog(op, 'put'));
+
+  if (failures.length === 0 && skipped.length === 0) {
+    utils.log(`\n✅ Sync complete! Total operations: ${opsCount}`);
+  } else {
+    utils.log(`\n⚠️ Sync finished with errors. Total operations: ${opsCount}, failed: ${failures.length}, skipped: ${skipped.length}`);
+    printFailureSummary(failures, skipped);
+  }
+  return { opsCount, failures, skipped };
+}
+
+// ReadMe may derive the slug of a new custom page or changelog entry from its title.
+function warnOnDerivedSlug(label, slug, res) {
+  if (res.data?.slug && res.data.slug.toLowerCase() !== slug) {
+    utils.warn(`${label} "${slug}" was created as "${res.data.slug}". Set its front matter slug to "${res.data.slug}" so the next sync updates it.`);
+  }
+}
 
-  utils.log(`\n✅ Sync complete! Total operations: ${opsCount}`);
+// Prints the failed and skipped operations, grouped by phase.
+function printFailureSummary(failures, skipped) {
+  const entries = [
+    ...failures.map(f => ({ ...f, line: `❌ ${f.type.label}: ${f.slug}${f.status ? ` (HTTP ${f.status})` : ''}: ${f.error}` })),
+    ...skipped.map(s => ({ ...s, line: `⏭️ ${s.type.label}: ${s.slug}: skipped because ${s.reason}` })),
+  ];
+  const byPhase = new Map();
+  for (const entry of entries) {
+    if (!byPhase.has(entry.phase)) byPhase.set(entry.phase, []);
+    byPhase.get(entry.phase).push(entry.line);
+  }
+  utils.log('\n--- FAILURE SUMMARY ---');
+  for (const [phase, lines] of byPhase) {
+    utils.log(`   ${phase}`);
+    lines.forEach(line => utils.log(`     ${line}`));
+  }
 }
 
 exports.executeSyncPlan = executeSyncPlan;
\ No newline at end of file
@@ -0,0 +1,96 @@
+// scripts/sync/sync-ledger.js
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config.js');
+const utils = require('./utils.js');
+const gitUtils = require('./git-utils.js');
+const apiClient = require('./api-client.js');
+const assetManager = require('./asset-manager.js');
+
+// The ledger records the last successfully synced commit for each ReadMe version, e.g.:
+// { "default": { "commit": "3f2a9c...", "branch": "main", "syncedAt": "2024-06-01T12:00:00.000Z" } }
+// It lives next to the hash manifest when a bucket is configured, otherwise in a local state file.
+
+const ledgerEntryKey = () => apiClient.getTargetVersion() || 'default';
+
+async function readLedger() {
+  if (assetManager.isBucketEnabled()) {
+    return (await assetManager.fetchBucketJson(config.CONFIG.S3_LEDGER_KEY)) || {};
+  }
+  if (!(await fs.pathExists(config.CONFIG.SYNC_LEDGER_FILE))) return {};
+  try {
+    return await fs.readJson(config.CONFIG.SYNC_LEDGER_FILE);
+  } catch (e) {
+    utils.warn(`Could not parse sync ledger ${path.relative(process.cwd(), config.CONFIG.SYNC_LEDGER_FILE)}. Ignoring it.`);
+    return {};
+  }
+}
+
+async function writeLedger(ledger) {
+  if (assetManager.isBucketEnabled()) {
+    await assetManager.saveBucketJson(config.CONFIG.S3_LEDGER_KEY, ledger);
+    return;
+  }
+  await fs.ensureDir(path.dirname(config.CONFIG.SYNC_LEDGER_FILE));
+  await fs.writeJson(config.CONFIG.SYNC_LEDGER_FILE, ledger, { spaces: 2 });
+}
+
+async function getLastSyncedCommit() {
+  const ledger = await readLedger();
+  return ledger[ledgerEntryKey()]?.commit || null;
+}
+
+// Decides which ref the git diff starts from. Returns null when a full sync is needed.
+async function resolveDiffBase() {
+  if (config.FULL_SYNC) return null;
+
+  if (config.SINCE_REF) {
+    utils.log(`ℹ️ Using --since override: diffing from '${config.SINCE_REF}'.`);
+    return config.SINCE_REF;
+  }
+
+  // A CI checkout starts without .readme-sync/, so without a bucket every run would be a full sync.
+  if (process.env.CI && !assetManager.isBucketEnabled() && !(await fs.pathExists(config.CONFIG.SYNC_LEDGER_FILE))) {
+    utils.warn(
+      `No sync ledger at ${path.relative(process.cwd(), config.CONFIG.SYNC_LEDGER_FILE)} and no asset storage to keep it in. ` +
+      `CI runs on '${config.CONFIG.TARGET_GIT_BRANCH}' will keep falling back to a full sync that deletes nothing. ` +
+      'Configure ASSET_STORAGE, or persist the file between runs.'
+    );
+  }
+
+  const lastCommit = await getLastSyncedCommit();
+  if (lastCommit) {
+    if (gitUtils.commitExists(lastCommit)) {
+      utils.log(`ℹ️ Last successful sync was at ${lastCommit.slice(0, 7)}. Diffing from there.`);
+      return lastCommit;
+    }
+    utils.warn(`Last synced commit ${lastCommit.slice(0, 7)} is not in the local history (shallow clone or rewritten history?). Falling back to a full sync.`);
+    return null;
+  }
+
+  if (gitUtils.getCurrentBranch() === config.CONFIG.TARGET_GIT_BRANCH) {
+    utils.log(`ℹ️ No previous sync recorded and already on '${config.CONFIG.TARGET_GIT_BRANCH}'. Falling back to a full sync.`);
+    return null;
+  }
+  return config.CONFIG.TARGET_GIT_BRANCH;
+}
+
+async function recordSuccessfulSync(commit) {
+  if (config.DRY_RUN) {
+    utils.log(`   [DRY-RUN] Would record ${commit.slice(0, 7)} as the last synced commit.`);
+    return;
+  }
+  const ledger = await readLedger();
+  ledger[ledgerEntryKey()] = {
+    commit,
+    branch: gitUtils.getCurrentBranch(),
+    syncedAt: new Date().toISOString(),
+  };
+  await writeLedger(ledger);
+  utils.log(`   - Recorded ${commit.slice(0, 7)} as the last synced commit.`);
+}
+
+exports.getLastSyncedCommit = getLastSyncedCommit;
+exports.resolveDiffBase = resolveDiffBase;
+exports.recordSuccessfulSync = recordSuccessfulSync;
@@ -0,0 +1,166 @@
+// scripts/sync/sync-lock.js
+
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config.js');
+const utils = require('./utils.js');
+const gitUtils = require('./git-utils.js');
+const apiClient = require('./api-client.js');
+const assetManager = require('./asset-manager.js');
+const { VersionConflictError } = require('./storage/index.js');
+
+// A lock object in the bucket makes sure two runs (e.g. two overlapping workflow runs) never
+// execute plans against ReadMe at the same time:
+// { owner, command, branch, runUrl, acquiredAt, expiresAt }
+// It is created with a conditional write, so only one run can take it. Without a bucket, or in
+// dry-run mode, nothing is written and no lock is taken.
+// While it is held, expiresAt is pushed forward with conditional writes, so a long run is never
+// taken over as expired. If a refresh finds the lock changed, the run stops writing to ReadMe.
+
+// Thrown by every ReadMe write after the lock was lost. --continue-on-error does not apply to it.
+class SyncLockLostError extends Error {
+  constructor(reason) {
+    super(`Lost the sync lock: ${reason}. Stopped writing to ReadMe, as another run may be writing too.`);
+    this.name = 'SyncLockLostError';
+  }
+}
+
+let heldLock = null;
+let lostError = null;
+let refreshTimer = null;
+let pendingRefresh = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describeLock = (lock) =>
+  `${lock.command} on ${lock.branch || 'unknown branch'}${lock.runUrl ? ` (${lock.runUrl})` : ''}, since ${lock.acquiredAt}`;
+
+const ttlMs = () => config.CONFIG.LOCK_TTL_MINUTES * 60 * 1000;
+
+function createLock(command) {
+  const now = Date.now();
+  const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+  return {
+    owner: `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`,
+    command,
+    branch: gitUtils.getCurrentBranch(),
+    runUrl: GITHUB_RUN_ID ? `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}` : null,
+    acquiredAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs()).toISOString(),
+  };
+}
+
+// Waits up to LOCK_WAIT_MINUTES for the lock. Expired locks are taken over.
+async function acquire(command) {
+  if (!assetManager.isBucketEnabled() || config.DRY_RUN || heldLock) return;
+  const lockKey = config.CONFIG.S3_LOCK_KEY;
+  const deadline = Date.now() + config.CONFIG.LOCK_WAIT_MINUTES * 60 * 1000;
+  let announcedWait = false;
+
+  for (;;) {
+    const current = await assetManager.fetchBucketJsonVersioned(lockKey);
+    const isExpired = current && !(Date.parse(current.object.expiresAt) > Date.now());
+
+    if (!current || isExpired) {
+      if (isExpired) utils.warn(`Taking over the expired sync lock of ${describeLock(current.object)}.`);
+      const lock = createLock(command);
+      try {
+        await assetManager.saveBucketJson(lockKey, lock, { ifVersion: current ? current.version : null });
+        heldLock = lock;
+        lostError = null;
+        startRefreshing();
+        utils.log(`🔒 Acquired the sync lock (${lockKey}).`);
+        return;
+      } catch (e) {
+        // Another run took the lock first: check it again.
+        if (e instanceof VersionConflictError) continue;
+        throw e;
+      }
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(
+        `Another run holds the sync lock: ${describeLock(current.object)}. ` +
+        `If that run is gone, delete ${lockKey} from the bucket or wait until ${current.object.expiresAt}.`
+      );
+    }
+    if (!announcedWait) {
+      utils.log(`⏳ Waiting for the sync lock held by ${describeLock(current.object)}...`);
+      announcedWait = true;
+    }
+    await sleep(config.CONFIG.LOCK_POLL_INTERVAL_MS);
+  }
+}
+
+// Storage errors are only reported: the next refresh tries again before the lock expires.
+async function refresh() {
+  const lockKey = config.CONFIG.S3_LOCK_KEY;
+  try {
+    const current = await assetManager.fetchBucketJsonVersioned(lockKey);
+    if (current?.object.owner !== heldLock.owner) {
+      loseLock(current ? `it is now held by ${describeLock(current.object)}` : `${lockKey} was deleted`);
+      return;
+    }
+    const expiresAt = new Date(Date.now() + ttlMs()).toISOString();
+    await assetManager.saveBucketJson(lockKey, { ...heldLock, expiresAt }, { ifVersion: current.version });
+    heldLock.expiresAt = expiresAt;
+  } catch (e) {
+    if (e instanceof VersionConflictError) {
+      loseLock(`${lockKey} was changed by another run`);
+      return;
+    }
+    utils.warn(`Could not refresh the sync lock ${lockKey}: ${e.message}. It expires at ${heldLock.expiresAt}.`);
+  }
+}
+
+function startRefreshing() {
+  apiClient.setWriteGuard(assertHeld);
+  refreshTimer = setInterval(() => {
+    if (!pendingRefresh) pendingRefresh = refresh().finally(() => { pendingRefresh = null; });
+  }, ttlMs() / 3);
+  // The timer must not keep the process alive on its own.
+  refreshTimer.unref();
+}
+
+async function stopRefreshing() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+  await pendingRefresh;
+  apiClient.setWriteGuard(null);
+}
+
+function loseLock(reason) {
+  clearInterval(refreshTimer);
+  lostError = new SyncLockLostError(reason);
+  utils.err(lostError.message);
+}
+
+function assertHeld() {
+  if (lostError) throw lostError;
+}
+
+// Never throws: a lock that cannot be released expires after its TTL.
+async function release() {
+  if (!heldLock) return;
+  await stopRefreshing();
+  const lockKey = config.CONFIG.S3_LOCK_KEY;
+  const lock = heldLock;
+  heldLock = null;
+  try {
+    const current = await assetManager.fetchBucketJsonVersioned(lockKey);
+    if (current?.object.owner !== lock.owner) {
+      utils.warn(`The sync lock was taken over by another run while this one held it (TTL: ${config.CONFIG.LOCK_TTL_MINUTES} minutes).`);
+      return;
+    }
+    const { errors } = await assetManager.deleteBucketKeys([lockKey]);
+    if (errors.length > 0) throw new Error(errors[0].message);
+    utils.log('🔓 Released the sync lock.');
+  } catch (e) {
+    utils.warn(`Could not release the sync lock ${lockKey}: ${e.message}. It expires at ${lock.expiresAt}.`);
+  }
+}
+
+exports.acquire = acquire;
+exports.release = release;
+exports.assertHeld = assertHeld;
+exports.SyncLockLostError = SyncLockLostError;
@@ -1,7 +1,120 @@
 // scripts/sync/sync-planner.js
 
+let pMap = require('p-map');
+if (typeof pMap !== 'function') { pMap = pMap.default; }
 const config = require('./config.js');
 const utils = require('./utils.js');
+const assetManager = require('./asset-manager.js');
+const stateManager = require('./state-manager.js');
+
+// Compare structural attributes. Excerpt is a content change, handled by git diff (or drift detection).
+function hasAttributeChanges(localDoc, remoteDoc) {
+  return (
+    localDoc.title !== remoteDoc.title ||
+    localDoc.categorySlug !== remoteDoc.categorySlug ||
+    localDoc.parentDocSlug !== remoteDoc.parentDocSlug ||
+    localDoc.order !== remoteDoc.order ||
+    localDoc.hidden !== remoteDoc.hidden
+  );
+}
+
+const hasPageAttributeChanges = (localPage, remotePage) =>
+  localPage.title !== remotePage.title ||
+  localPage.hidden !== remotePage.hidden ||
+  localPage.htmlmode !== remotePage.htmlmode;
+
+const hasChangelogAttributeChanges = (localEntry, remoteEntry) =>
+  localEntry.title !== remoteEntry.title ||
+  localEntry.type !== remoteEntry.type ||
+  localEntry.hidden !== remoteEntry.hidden;
+
+const PLAN_OPERATION_KEYS = [
+  'categoryDeletions', 'docDeletions', 'categoryCreations', 'categoryUpdates', 'docUpdates', 'docRenames', 'docCreations',
+  'pageDeletions', 'pageCreations', 'pageUpdates', 'changelogCreations', 'changelogUpdates',
+];
+
+// Turns a "delete old slug + create new slug" pair into a single in-place rename, so the doc keeps
+// its history and inbound links in ReadMe. Previous slugs come from git (slug changed in front
+// matter, possibly with a file move) and from the `previous_slugs` front matter field.
+function detectRenames(plan, gitChanges) {
+  const deletedSlugs = new Set(plan.docDeletions.map(op => op.slug));
+  const claimed = new Set();
+
+  plan.docCreations = plan.docCreations.filter(({ slug, doc }) => {
+    const candidates = [gitChanges.renamedSlugs?.get(doc.absPath), ...doc.previousSlugs].filter(Boolean);
+    const fromSlug = candidates.find(candidate => deletedSlugs.has(candidate) && !claimed.has(candidate));
+    if (!fromSlug) return true;
+
+    claimed.add(fromSlug);
+    plan.docRenames.push({ slug, fromSlug, doc });
+    return false;
+  });
+
+  plan.docDeletions = plan.docDeletions.filter(op => !claimed.has(op.slug));
+  if (claimed.size > 0) utils.log(`   - Detected ${claimed.size} slug rename(s). They will be updated in place.`);
+}
+
+// Drops every operation touching a slug listed in .readmeignore. Docs inside a protected
+// category are protected too.
+function applyIgnoreList(plan, local) {
+  if (!local.isIgnoredSlug) return;
+  let protectedCount = 0;
+
+  for (const key of PLAN_OPERATION_KEYS) {
+    const isCategoryOp = key.startsWith('category');
+    plan[key] = plan[key].filter(op => {
+      const categorySlug = isCategoryOp ? null : (op.doc?.categorySlug ?? op.categorySlug);
+      if (local.isIgnoredSlug(op.slug) || local.isIgnoredSlug(op.fromSlug) || local.isIgnoredSlug(categorySlug)) {
+        protectedCount++;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  if (protectedCount > 0) utils.log(`   - Skipped ${protectedCount} operation(s) on slugs protected by .readmeignore.`);
+}
+
+function skipDeletions(plan, reason) {
+  const skipped = [
+    ...plan.categoryDeletions.map(op => ({ kind: 'category', slug: op.slug })),
+    ...plan.docDeletions.map(op => ({ kind: 'doc', slug: op.slug })),
+    ...plan.pageDeletions.map(op => ({ kind: 'page', slug: op.slug })),
+  ];
+  if (skipped.length === 0) return;
+
+  utils.warn(`Skipping ${skipped.length} deletion(s): ${reason}`);
+  skipped.forEach(item => utils.log(`     - ${item.kind}: ${item.slug}`));
+  plan.skippedDeletions.push(...skipped);
+  plan.categoryDeletions = [];
+  plan.docDeletions = [];
+  plan.pageDeletions = [];
+}
+
+// Deletions only happen with --prune, never on a full sync, and never beyond the configured limits.
+function applyDeletionSafeguards(plan, local, remote, gitChanges) {
+  if (gitChanges.fallback) {
+    skipDeletions(plan, 'this run is a full sync without a git diff (first run, --full, or a failed diff), so it makes NO DELETIONS.');
+    return;
+  }
+  if (!config.PRUNE) {
+    skipDeletions(plan, 'pass --prune to delete remote content that is missing locally.');
+    return;
+  }
+
+  const deletionCount = plan.categoryDeletions.length + plan.docDeletions.length + plan.pageDeletions.length;
+  // Remote pages count only when this run plans them, or they would dilute the percentage.
+  const remoteCount = remote.categories.size + remote.docs.size + (local.pages ? remote.pages.size : 0);
+  const deletionPercent = remoteCount > 0 ? (deletionCount / remoteCount) * 100 : 0;
+
+  if (deletionCount > config.CONFIG.MAX_DELETIONS || deletionPercent > config.CONFIG.MAX_DELETION_PERCENT) {
+    throw new Error(
+      `Refusing to delete ${deletionCount} remote item(s) (${deletionPercent.toFixed(1)}% of remote content). ` +
+      `Limits are SYNC_MAX_DELETIONS=${config.CONFIG.MAX_DELETIONS} and SYNC_MAX_DELETION_PERCENT=${config.CONFIG.MAX_DELETION_PERCENT}. ` +
+      `Raise them if this is intended.`
+    );
+  }
+}
 
 function createSyncPlan(local, remote, gitChanges) {
   utils.log('\n3. Creating sync plan...');
@@ -13,7 +126,14 @@ function createSyncPlan(local, remote, gitChanges) {
     categoryCreations: [],
     categoryUpdates: [],
     docUpdates: [],
+    docRenames: [],
     docCreations: [],
+    pageDeletions: [],
+    pageCreations: [],
+    pageUpdates: [],
+    changelogCreations: [],
+    changelogUpdates: [],
+    skippedDeletions: [], // Not executed; kept so the output can show what --prune would remove
   };
 
   const isStructureFileModified = changedFilePaths === null || changedFilePaths.has(config.CONFIG.STRUCTURE_MANIFEST);
@@ -34,9 +154,13 @@ function createSyncPlan(local, remote, gitChanges) {
   }
 
   // --- Doc Plan ---
-  for (const remoteSlug of remote.docs.keys()) {
+  for (const [remoteSlug, remoteDoc] of remote.docs.entries()) {
     if (!local.docs.has(remoteSlug)) {
-      plan.docDeletions.push({ slug: remoteSlug });
+      plan.docDeletions.push({
+        slug: remoteSlug,
+        categorySlug: remoteDoc.categorySlug,
+        parentDocSlug: remoteDoc.parentDocSlug?.toLowerCase() || null,
+      });
     }
   }
 
@@ -49,23 +173,189 @@ function createSyncPlan(local, remote, gitChanges) {
       continue;
     }
 
-    // Compare structural attributes. Excerpt is a content change, handled by git diff.
-    const attributeChanged =
-      localDoc.title !== remoteDoc.title ||
-      localDoc.categorySlug !== remoteDoc.categorySlug ||
-      localDoc.parentDocSlug !== remoteDoc.parentDocSlug ||
-      localDoc.order !== remoteDoc.order ||
-      localDoc.hidden !== remoteDoc.hidden;
-
-    if (isMdFileModifiedByGit || attributeChanged) {
-      plan.docUpdates.push({ slug: localSlug, doc: localDoc });
+    if (hasAttributeChanges(localDoc, remoteDoc)) {
+      plan.docUpdates.push({ slug: localSlug, doc: localDoc, reason: 'attributes' });
+    } else if (isMdFileModifiedByGit) {
+      plan.docUpdates.push({ slug: localSlug, doc: localDoc, reason: 'git' });
     }
   }
 
+  planCustomPages(plan, local, remote, changedFilePaths);
+  planChangelog(plan, local, remote, changedFilePaths);
+  detectRenames(plan, gitChanges);
+  applyIgnoreList(plan, local);
+  planLinkedDocUpdates(plan, local);
+  applyDeletionSafeguards(plan, local, remote, gitChanges);
+
   utils.log(`   - Plan: ${plan.categoryCreations.length} Cat Create, ${plan.categoryDeletions.length} Cat Delete, ${plan.categoryUpdates.length} Cat Update`);
-  utils.log(`   - Plan: ${plan.docCreations.length} Doc Create, ${plan.docDeletions.length} Doc Delete, ${plan.docUpdates.length} Doc Update`);
+  utils.log(`   - Plan: ${plan.docCreations.length} Doc Create, ${plan.docDeletions.length} Doc Delete, ${plan.docUpdates.length} Doc Update, ${plan.docRenames.length} Doc Rename`);
+  if (local.pages) utils.log(`   - Plan: ${plan.pageCreations.length} Page Create, ${plan.pageDeletions.length} Page Delete, ${plan.pageUpdates.length} Page Update`);
+  if (local.changelogs) utils.log(`   - Plan: ${plan.changelogCreations.length} Changelog Create, ${plan.changelogUpdates.length} Changelog Update`);
 
   return plan;
 }
 
-exports.createSyncPlan = createSyncPlan;
\ No newline at end of file
+// Custom pages are planned like docs: created when missing remotely, deleted (with --prune) when
+// missing locally, and updated when an attribute differs or git flagged the file. Without a
+// docs/_pages folder, the remote pages are left alone.
+function planCustomPages(plan, local, remote, changedFilePaths) {
+  if (!local.pages) return;
+
+  for (const remoteSlug of remote.pages.keys()) {
+    if (!local.pages.has(remoteSlug)) plan.pageDeletions.push({ slug: remoteSlug });
+  }
+  for (const [localSlug, localPage] of local.pages.entries()) {
+    const remotePage = remote.pages.get(localSlug);
+    if (!remotePage) {
+      plan.pageCreations.push({ slug: localSlug, page: localPage });
+    } else if (hasPageAttributeChanges(localPage, remotePage)) {
+      plan.pageUpdates.push({ slug: localSlug, page: localPage, reason: 'attributes' });
+    } else if (changedFilePaths === null || changedFilePaths.has(localPage.absPath)) {
+      plan.pageUpdates.push({ slug: localSlug, page: localPage, reason: 'git' });
+    }
+  }
+}
+
+// Changelog entries are created and updated like pages, but never deleted: entries that only exist
+// in ReadMe (e.g., posted before the repository took over) are left alone.
+function planChangelog(plan, local, remote, changedFilePaths) {
+  if (!local.changelogs) return;
+
+  for (const [localSlug, localEntry] of local.changelogs.entries()) {
+    const remoteEntry = remote.changelogs.get(localSlug);
+    if (!remoteEntry) {
+      plan.changelogCreations.push({ slug: localSlug, entry: localEntry });
+    } else if (hasChangelogAttributeChanges(localEntry, remoteEntry)) {
+      plan.changelogUpdates.push({ slug: localSlug, entry: localEntry, reason: 'attributes' });
+    } else if (changedFilePaths === null || changedFilePaths.has(localEntry.absPath)) {
+      plan.changelogUpdates.push({ slug: localSlug, entry: localEntry, reason: 'git' });
+    }
+  }
+
+  const remoteOnly = [...remote.changelogs.keys()].filter(slug => !local.changelogs.has(slug)).length;
+  if (remoteOnly > 0) {
+    utils.log(`   - ${remoteOnly} remote changelog entries have no local file. Run 'changelog import' to add them to the repository.`);
+  }
+}
+
+// Plans an update for every local doc, custom page, and changelog entry that is not planned yet,
+// is not protected by .readmeignore, and matches isAffected(record). Returns the counts per kind.
+function planDependentUpdates(plan, local, isAffected, reason) {
+  const isIgnoredSlug = (slug) => local.isIgnoredSlug && local.isIgnoredSlug(slug);
+  // Custom pages and changelog entries have no category, so only their own slug can be protected.
+  const kinds = [
+    { records: local.docs, field: 'doc', updateKey: 'docUpdates', plannedKeys: ['docUpdates', 'docCreations', 'docRenames'], isIgnored: doc => isIgnoredSlug(doc.slug) || isIgnoredSlug(doc.categorySlug) },
+    { records: local.pages, field: 'page', updateKey: 'pageUpdates', plannedKeys: ['pageUpdates', 'pageCreations'], isIgnored: page => isIgnoredSlug(page.slug) },
+    { records: local.changelogs, field: 'entry', updateKey: 'changelogUpdates', plannedKeys: ['changelogUpdates', 'changelogCreations'], isIgnored: entry => isIgnoredSlug(entry.slug) },
+  ];
+
+  return kinds.map(({ records, field, updateKey, plannedKeys, isIgnored }) => {
+    const plannedSlugs = new Set(plannedKeys.flatMap(key => plan[key]).map(op => op.slug));
+    const updates = [...(records?.values() || [])]
+      .filter(record => !plannedSlugs.has(record.slug) && !isIgnored(record) && isAffected(record))
+      .map(record => ({ slug: record.slug, [field]: record, reason }));
+    plan[updateKey].push(...updates);
+    return updates.length;
+  });
+}
+
+// Links to other docs are rewritten to the target's slug, so when a target gets a new slug (a
+// rename, or a new doc that replaces a deleted one), every doc linking to it must be pushed again
+// even though git did not flag the doc itself.
+function planLinkedDocUpdates(plan, local) {
+  const retargetedPaths = new Set([...plan.docRenames, ...plan.docCreations].map(op => op.doc.absPath));
+  if (retargetedPaths.size === 0) return;
+  const linksRetargetedDoc = (record) => [...assetManager.findLinkedDocPaths(record)].some(absPath => retargetedPaths.has(absPath));
+
+  const [docs, pages, entries] = planDependentUpdates(plan, local, linksRetargetedDoc, 'linked doc slug changed');
+  if (docs > 0) utils.log(`   - ${docs} doc(s) link to a doc whose slug changed and will be updated.`);
+  if (pages > 0) utils.log(`   - ${pages} custom page(s) link to a doc whose slug changed and will be updated.`);
+  if (entries > 0) utils.log(`   - ${entries} changelog entries link to a doc whose slug changed and will be updated.`);
+}
+
+// With hashed asset keys, a changed asset gets a new URL, so every doc that embeds it must be
+// pushed again even though git did not flag the doc itself.
+function planChangedAssetDocs(plan, local, changedAssetKeys) {
+  if (changedAssetKeys.size === 0) return plan;
+  const embedsChangedAsset = (record) => [...assetManager.findReferencedAssets(record).keys].some(key => changedAssetKeys.has(key));
+
+  const [docs, pages, entries] = planDependentUpdates(plan, local, embedsChangedAsset, 'asset changed');
+  if (docs > 0) utils.log(`   - ${docs} doc(s) embed a changed asset and will be updated.`);
+  if (pages > 0) utils.log(`   - ${pages} custom page(s) embed a changed asset and will be updated.`);
+  if (entries > 0) utils.log(`   - ${entries} changelog entries embed a changed asset and will be updated.`);
+  return plan;
+}
+
+// Replaces git-based content detection with a comparison of the prepared local body against
+// the live remote body. Docs with attribute changes are always kept; every other doc that exists
+// on both sides is updated only if its body or excerpt actually differs.
+async function applyContentDrift(plan, local, remote, hashManifest) {
+  utils.log('\n4b. Detecting content drift against ReadMe...');
+
+  const attributeUpdates = plan.docUpdates.filter(op => op.reason === 'attributes');
+  const attributeSlugs = new Set(attributeUpdates.map(op => op.slug));
+  const gitFlaggedSlugs = new Set(plan.docUpdates.filter(op => op.reason === 'git').map(op => op.slug));
+  const isIgnored = (doc) => local.isIgnoredSlug && (local.isIgnoredSlug(doc.slug) || local.isIgnoredSlug(doc.categorySlug));
+  const candidates = [...local.docs.values()].filter(doc => remote.docs.has(doc.slug) && !attributeSlugs.has(doc.slug) && !isIgnored(doc));
+
+  const driftUpdates = [];
+  await pMap(
+    candidates,
+    async (doc) => {
+      const localHash = utils.getContentHash(await assetManager.prepareDocBody(doc, hashManifest, local.docsByPath), doc.excerpt);
+      let remoteHash;
+      try {
+        const remoteDoc = await stateManager.fetchRemoteDoc(doc.slug);
+        remoteHash = utils.getContentHash(remoteDoc.body, remoteDoc.excerpt);
+      } catch (e) {
+        utils.warn(`   - Could not fetch remote body for ${doc.slug} (${e.message}). Planning an update to be safe.`);
+      }
+      if (localHash !== remoteHash) driftUpdates.push({ slug: doc.slug, doc, reason: 'drift' });
+    },
+    { concurrency: config.CONFIG.MAX_CONCURRENT_API_CALLS }
+  );
+
+  const unflagged = driftUpdates.filter(op => !gitFlaggedSlugs.has(op.slug)).length;
+  const identical = [...gitFlaggedSlugs].filter(slug => !driftUpdates.some(op => op.slug === slug)).length;
+  utils.log(`   - Compared ${candidates.length} docs: ${driftUpdates.length} differ from ReadMe.`);
+  if (unflagged > 0) utils.log(`   - ${unflagged} drifted doc(s) were not flagged by git and will be healed.`);
+  if (identical > 0) utils.log(`   - ${identical} git-flagged doc(s) already match ReadMe and will be skipped.`);
+
+  plan.docUpdates = [...attributeUpdates, ...driftUpdates];
+  return plan;
+}
+
+// Plan keys whose operations push a body, and the field that holds their local record.
+const BODY_OPERATION_KEYS = {
+  docCreations: 'doc', docRenames: 'doc', docUpdates: 'doc',
+  pageCreations: 'page', pageUpdates: 'page',
+  changelogCreations: 'entry', changelogUpdates: 'entry',
+};
+
+// Prepares the body of every planned doc, custom page, and changelog entry before anything is
+// written, so one unresolvable image or doc link fails the run instead of leaving it half-applied.
+// Returns a Map of local record -> prepared body, used by the executor and the content diff.
+async function prepareBodies(plan, local, hashManifest) {
+  const bodies = new Map();
+  const errors = [];
+  for (const [planKey, field] of Object.entries(BODY_OPERATION_KEYS)) {
+    for (const op of plan[planKey] || []) {
+      const record = op[field];
+      if (bodies.has(record)) continue;
+      try {
+        bodies.set(record, await assetManager.prepareDocBody(record, hashManifest, local.docsByPath));
+      } catch (e) {
+        errors.push(e.message);
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} planned doc(s) have unresolved references. Nothing was written to ReadMe.\n${errors.join('\n')}`);
+  }
+  return bodies;
+}
+
+exports.createSyncPlan = createSyncPlan;
+exports.applyContentDrift = applyContentDrift;
+exports.planChangedAssetDocs = planChangedAssetDocs;
+exports.prepareBodies = prepareBodies;
\ No newline at end of file
@@ -5,11 +5,17 @@ const path = require('path');
 const crypto = require('crypto');
 const matter = require('gray-matter');
 const { readFileSync } = require('fs');
+const readline = require('readline');
+const slugifyLib = require('slugify');
 
 const log = (...a) => console.log(...a);
 const warn = (...a) => console.warn('⚠️ ', ...a);
 const err = (...a) => console.error('❌ ', ...a);
 
+// Same rules as the hierarchy manager, close to how ReadMe derives slugs from titles.
+const slugify = (s) =>
+  slugifyLib(String(s), { lower: true, strict: true, remove: /[^a-zA-Z0-9\s-]/g });
+
 function getFileHash(filePath) {
   try {
     const fileBuffer = readFileSync(filePath);
@@ -20,13 +26,77 @@ function getFileHash(filePath) {
   }
 }
 
+// Turns a simple glob ("release/*", "legacy-*") into an anchored regular expression.
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// Hash of a doc's published content. Line endings and surrounding whitespace are normalized
+// so a body that round-trips through the ReadMe API hashes the same as the local one.
+function getContentHash(body, excerpt) {
+  const normalize = (value) => String(value ?? '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').trim();
+  return crypto.createHash('sha1').update(JSON.stringify([normalize(body), normalize(excerpt)])).digest('hex');
+}
+
+// Groups items into dependency levels: level 0 holds items whose parent is not part of `items`,
+// level N holds items whose parent sits in level N-1. Items caught in a parent cycle are
+// returned together as a last level so they are not silently dropped.
+function groupByDependencyLevel(items, getKey, getParentKey) {
+  const byKey = new Map(items.map(item => [getKey(item), item]));
+  const levelOf = new Map();
+
+  const resolveLevel = (item, visiting = new Set()) => {
+    const key = getKey(item);
+    if (levelOf.has(key)) return levelOf.get(key);
+    const parentKey = getParentKey(item);
+    if (!parentKey || !byKey.has(parentKey)) {
+      levelOf.set(key, 0);
+      return 0;
+    }
+    if (visiting.has(key)) return -1;
+    visiting.add(key);
+    const parentLevel = resolveLevel(byKey.get(parentKey), visiting);
+    const level = parentLevel === -1 ? -1 : parentLevel + 1;
+    levelOf.set(key, level);
+    return level;
+  };
+
+  const levels = [];
+  const cyclic = [];
+  for (const item of items) {
+    const level = resolveLevel(item);
+    if (level === -1) {
+      cyclic.push(item);
+      continue;
+    }
+    if (!levels[level]) levels[level] = [];
+    levels[level].push(item);
+  }
+  if (cyclic.length > 0) {
+    warn(`Parent cycle detected between: ${cyclic.map(getKey).join(', ')}. Processing them last.`);
+    levels.push(cyclic);
+  }
+  return levels.filter(Boolean);
+}
+
+// Asks a yes/no question on the terminal. Resolves to false when stdin is not a terminal (e.g., CI).
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
 async function readDoc(absPath) {
   const src = await fs.readFile(absPath, 'utf8');
   const parsed = matter(src);
   return { content: parsed.content || '', fm: parsed.data || {} };
 }
 
-async function findMarkdownFiles(dir) {
+// Folders listed in `exclude` (absolute paths) are skipped, e.g. docs/_pages when loading guide docs.
+async function findMarkdownFiles(dir, { exclude = [] } = {}) {
   let files = [];
   let entries;
   try {
@@ -45,7 +115,8 @@ async function findMarkdownFiles(dir) {
     )
       continue;
     if (entry.isDirectory()) {
-      files = files.concat(await findMarkdownFiles(fullPath));
+      if (exclude.includes(fullPath)) continue;
+      files = files.concat(await findMarkdownFiles(fullPath, { exclude }));
     } else if (entry.isFile() && (entry.name.endsWith('.md') || entry.name.endsWith('.mdx'))) {
       files.push(fullPath);
     }
@@ -58,6 +129,11 @@ module.exports = {
   warn,
   err,
   getFileHash,
+  slugify,
+  wildcardToRegExp,
+  getContentHash,
+  groupByDependencyLevel,
   readDoc,
   findMarkdownFiles,
+  confirm,
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// scripts/readme-emulator/main.mjs
+
+/**
+ * Local emulator of the ReadMe v1 API.
+ * Point README_BASE_URL at it to rehearse migrations, hierarchy changes, and syncs
+ * without touching a real ReadMe project.
+ *
+ * Usage:
+ *   node scripts/readme-emulator/main.mjs [--port 4010] [--seed <export folder>] [--data <file>]
+ *                                         [--default-version 1.0] [--api-key <key>] [--quiet]
+ */
+import { initStore, getState, DEFAULT_VERSION } from './store.mjs';
+import { createServer } from './server.mjs';
+
+const ARGS = process.argv.slice(2);
+
+function getArgValue(flag) {
+  const index = ARGS.indexOf(flag);
+  if (index === -1) return null;
+  const value = ARGS[index + 1];
+  return value && !value.startsWith('--') ? value : null;
+}
+
+const PORT = Number(getArgValue('--port') || process.env.README_EMULATOR_PORT || 4010);
+const SEED_DIR = getArgValue('--seed');
+const DATA_FILE = getArgValue('--data') || process.env.README_EMULATOR_DATA || null;
+const DEFAULT_VERSION_NAME = getArgValue('--default-version') || DEFAULT_VERSION;
+const API_KEY = getArgValue('--api-key');
+const QUIET = ARGS.includes('--quiet');
+
+async function main() {
+  await initStore({ file: DATA_FILE, seedDir: SEED_DIR, defaultVersion: DEFAULT_VERSION_NAME });
+
+  const state = getState();
+  console.log('===================================================');
+  console.log('  ReadMe v1 API Emulator');
+  console.log('===================================================');
+  for (const version of state.versions) {
+    const { categories, docs } = state.content[version.version];
+    console.log(`   - Version ${version.version}${version.is_stable ? ' (stable)' : ''}: ${categories.length} categories, ${docs.length} docs`);
+  }
+  console.log(`   - Custom pages: ${(state.customPages || []).length}, changelog entries: ${(state.changelogs || []).length}`);
+  console.log(`   - State: ${DATA_FILE ? `persisted to ${DATA_FILE}` : 'in memory (lost on exit)'}`);
+
+  const server = createServer({ apiKey: API_KEY, quiet: QUIET });
+  server.listen(PORT, () => {
+    console.log(`\n🚀 Listening on http://localhost:${PORT}`);
+    console.log(`   Use it with: README_BASE_URL=http://localhost:${PORT}/api/v1\n`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((e) => {
+  console.error('❌ Emulator failed to start:', e.message);
+  process.exit(1);
+});
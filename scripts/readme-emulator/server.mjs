@@ -0,0 +1,390 @@
+// scripts/readme-emulator/server.mjs
+
+/**
+ * HTTP layer of the emulator. Implements the subset of the ReadMe v1 API used by the toolkit,
+ * with the same paths, status codes, and error shape ({ error, message }).
+ * Routes are served both at the root and under `/api/v1`.
+ */
+import http from 'http';
+import {
+  getState,
+  resetState,
+  persist,
+  findVersion,
+  getContent,
+  createVersion,
+  updateVersion,
+  deleteVersion,
+  addCategory,
+  addDoc,
+  getCustomPages,
+  addCustomPage,
+  getChangelogs,
+  addChangelog,
+  CHANGELOG_TYPES,
+} from './store.mjs';
+
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const notFound = (code, what) => new HttpError(404, code, `The ${what} couldn't be found.`);
+
+// ---------------------------
+// Serializers
+// ---------------------------
+
+function toDocTree(content, category, parentId = null) {
+  return content.docs
+    .filter(d => d.category === category._id && (d.parentDoc || null) === parentId)
+    .sort((a, b) => a.order - b.order || a.createdAt.localeCompare(b.createdAt))
+    .map(d => ({ _id: d._id, title: d.title, slug: d.slug, order: d.order, hidden: d.hidden, children: toDocTree(content, category, d._id) }));
+}
+
+// ---------------------------
+// Lookups
+// ---------------------------
+
+function getCategory(content, slug) {
+  const category = content.categories.find(c => c.slug === slug.toLowerCase());
+  if (!category) throw notFound('CATEGORY_NOTFOUND', 'category');
+  return category;
+}
+
+function getDoc(content, slug) {
+  const doc = content.docs.find(d => d.slug === slug.toLowerCase());
+  if (!doc) throw notFound('DOC_NOTFOUND', 'doc');
+  return doc;
+}
+
+function getCustomPage(slug) {
+  const page = getCustomPages().find(p => p.slug === slug.toLowerCase());
+  if (!page) throw notFound('CUSTOMPAGE_NOTFOUND', 'custom page');
+  return page;
+}
+
+function getChangelog(slug) {
+  const entry = getChangelogs().find(c => c.slug === slug.toLowerCase());
+  if (!entry) throw notFound('CHANGELOG_NOTFOUND', 'changelog');
+  return entry;
+}
+
+function checkChangelogType(type) {
+  if (type !== undefined && !CHANGELOG_TYPES.includes(type)) {
+    throw new HttpError(400, 'CHANGELOG_INVALID', `The type "${type}" is not one of: ${CHANGELOG_TYPES.filter(Boolean).join(', ')}.`);
+  }
+}
+
+// Docs accept either `category` (an _id) or `categorySlug`, and `parentDoc` (an _id) or `parentDocSlug`.
+function resolveCategoryId(content, body) {
+  if (body.categorySlug) return getCategoryForDoc(content, c => c.slug === String(body.categorySlug).toLowerCase());
+  if (body.category) return getCategoryForDoc(content, c => c._id === body.category);
+  return undefined;
+}
+
+function getCategoryForDoc(content, predicate) {
+  const category = content.categories.find(predicate);
+  if (!category) throw new HttpError(400, 'DOC_INVALID', 'The category you specified does not exist.');
+  return category._id;
+}
+
+function resolveParentId(content, body) {
+  const ref = 'parentDocSlug' in body ? body.parentDocSlug : body.parentDoc;
+  if (!('parentDocSlug' in body) && !('parentDoc' in body)) return undefined;
+  if (!ref) return null;
+  const parent = content.docs.find(d => ('parentDocSlug' in body ? d.slug === String(ref).toLowerCase() : d._id === ref));
+  if (!parent) throw new HttpError(400, 'DOC_INVALID', `The parent doc "${ref}" does not exist.`);
+  return parent._id;
+}
+
+// ---------------------------
+// Routes
+// ---------------------------
+
+const routes = [];
+const route = (method, pattern, handler) => routes.push({ method, pattern, handler });
+
+// Versions
+route('GET', /^\/version$/, () => [200, getState().versions]);
+
+route('GET', /^\/version\/([^/]+)$/, ({ params }) => {
+  const version = findVersion(params[0]);
+  if (!version) throw notFound('VERSION_NOTFOUND', 'version');
+  return [200, version];
+});
+
+route('POST', /^\/version$/, ({ body }) => {
+  if (!body.version) throw new HttpError(400, 'VERSION_EMPTY', 'You need to include a version.');
+  if (!body.from) throw new HttpError(400, 'VERSION_FORK_EMPTY', 'New versions need to be forked from an existing version.');
+  if (findVersion(body.version)) throw new HttpError(400, 'VERSION_DUPLICATE', `Version ${body.version} already exists.`);
+  const from = findVersion(body.from);
+  if (!from) throw new HttpError(400, 'VERSION_FORK_NOTFOUND', `The version ${body.from} you are forking from doesn't exist.`);
+  return [200, createVersion(body, from)];
+});
+
+route('PUT', /^\/version\/([^/]+)$/, ({ params, body }) => {
+  const version = findVersion(params[0]);
+  if (!version) throw notFound('VERSION_NOTFOUND', 'version');
+  if (body.version && body.version !== version.version && findVersion(body.version)) {
+    throw new HttpError(400, 'VERSION_DUPLICATE', `Version ${body.version} already exists.`);
+  }
+  return [200, updateVersion(version, body)];
+});
+
+route('DELETE', /^\/version\/([^/]+)$/, ({ params }) => {
+  const version = findVersion(params[0]);
+  if (!version) throw notFound('VERSION_NOTFOUND', 'version');
+  if (version.is_stable) throw new HttpError(400, 'VERSION_CANT_REMOVE_STABLE', "You can't remove the stable version.");
+  deleteVersion(version);
+  return [200, { removed: true }];
+});
+
+// Categories
+route('GET', /^\/categories$/, ({ content, query }) => {
+  const perPage = Math.min(Math.max(Number(query.get('perPage')) || 10, 1), 100);
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const all = [...content.categories].sort((a, b) => a.order - b.order);
+  return [200, all.slice((page - 1) * perPage, page * perPage), { 'x-total-count': String(all.length) }];
+});
+
+route('POST', /^\/categories$/, ({ content, body }) => {
+  if (!body.title) throw new HttpError(400, 'CATEGORY_INVALID', 'The category title is required.');
+  const category = addCategory(content, { title: body.title, type: body.type || 'guide' });
+  persist();
+  return [201, category];
+});
+
+route('GET', /^\/categories\/([^/]+)$/, ({ content, params }) => [200, getCategory(content, params[0])]);
+
+route('PUT', /^\/categories\/([^/]+)$/, ({ content, params, body }) => {
+  const category = getCategory(content, params[0]);
+  if (body.title) category.title = body.title;
+  if (body.type) {
+    category.type = body.type;
+    category.reference = body.type === 'reference';
+  }
+  persist();
+  return [200, category];
+});
+
+route('DELETE', /^\/categories\/([^/]+)$/, ({ content, params }) => {
+  const category = getCategory(content, params[0]);
+  // Deleting a category deletes the docs it contains.
+  content.docs = content.docs.filter(d => d.category !== category._id);
+  content.categories = content.categories.filter(c => c !== category);
+  persist();
+  return [204];
+});
+
+route('GET', /^\/categories\/([^/]+)\/docs$/, ({ content, params }) => [200, toDocTree(content, getCategory(content, params[0]))]);
+
+// Docs
+route('POST', /^\/docs$/, ({ content, body }) => {
+  if (!body.title) throw new HttpError(400, 'DOC_INVALID', 'The doc title is required.');
+  const category = resolveCategoryId(content, body);
+  if (!category) throw new HttpError(400, 'DOC_INVALID', 'A category is required.');
+  const parentDoc = resolveParentId(content, body) || null;
+  if (parentDoc && content.docs.find(d => d._id === parentDoc).category !== category) {
+    throw new HttpError(400, 'DOC_INVALID', 'The parent doc must be in the same category.');
+  }
+  const doc = addDoc(content, { ...body, slug: body.slug ? String(body.slug).toLowerCase() : null, category, parentDoc });
+  persist();
+  return [201, doc];
+});
+
+route('GET', /^\/docs\/([^/]+)$/, ({ content, params }) => [200, getDoc(content, params[0])]);
+
+route('PUT', /^\/docs\/([^/]+)$/, ({ content, params, body }) => {
+  const doc = getDoc(content, params[0]);
+  if (body.slug && String(body.slug).toLowerCase() !== doc.slug) {
+    const newSlug = String(body.slug).toLowerCase();
+    if (content.docs.some(d => d.slug === newSlug)) throw new HttpError(400, 'DOC_INVALID', `The slug "${newSlug}" is already taken.`);
+    doc.slug = newSlug;
+  }
+  for (const key of ['title', 'body', 'excerpt', 'order', 'type']) {
+    if (body[key] !== undefined) doc[key] = body[key];
+  }
+  if (body.hidden !== undefined) doc.hidden = !!body.hidden;
+  const category = resolveCategoryId(content, body);
+  if (category) doc.category = category;
+  const parentDoc = resolveParentId(content, body);
+  if (parentDoc !== undefined) {
+    if (parentDoc === doc._id) throw new HttpError(400, 'DOC_INVALID', 'A doc cannot be its own parent.');
+    doc.parentDoc = parentDoc;
+  }
+  doc.updatedAt = new Date().toISOString();
+  persist();
+  return [200, doc];
+});
+
+route('DELETE', /^\/docs\/([^/]+)$/, ({ content, params }) => {
+  const doc = getDoc(content, params[0]);
+  if (content.docs.some(d => d.parentDoc === doc._id)) {
+    throw new HttpError(400, 'DOC_INVALID', `Doc "${doc.slug}" still has child docs. Delete or move them first.`);
+  }
+  content.docs = content.docs.filter(d => d !== doc);
+  persist();
+  return [204];
+});
+
+// Custom pages (not versioned: every version sees the same pages)
+route('GET', /^\/custompages$/, ({ query }) => {
+  const perPage = Math.min(Math.max(Number(query.get('perPage')) || 10, 1), 100);
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const all = getCustomPages();
+  return [200, all.slice((page - 1) * perPage, page * perPage), { 'x-total-count': String(all.length) }];
+});
+
+route('POST', /^\/custompages$/, ({ body }) => {
+  if (!body.title) throw new HttpError(400, 'CUSTOMPAGE_INVALID', 'The custom page title is required.');
+  const page = addCustomPage(getCustomPages(), { ...body, slug: body.slug ? String(body.slug).toLowerCase() : null });
+  persist();
+  return [201, page];
+});
+
+route('GET', /^\/custompages\/([^/]+)$/, ({ params }) => [200, getCustomPage(params[0])]);
+
+route('PUT', /^\/custompages\/([^/]+)$/, ({ params, body }) => {
+  const page = getCustomPage(params[0]);
+  if (body.slug && String(body.slug).toLowerCase() !== page.slug) {
+    const newSlug = String(body.slug).toLowerCase();
+    if (getCustomPages().some(p => p.slug === newSlug)) throw new HttpError(400, 'CUSTOMPAGE_INVALID', `The slug "${newSlug}" is already taken.`);
+    page.slug = newSlug;
+  }
+  for (const key of ['title', 'body', 'html']) {
+    if (body[key] !== undefined) page[key] = body[key];
+  }
+  if (body.htmlmode !== undefined) page.htmlmode = !!body.htmlmode;
+  if (body.hidden !== undefined) page.hidden = !!body.hidden;
+  page.updatedAt = new Date().toISOString();
+  persist();
+  return [200, page];
+});
+
+route('DELETE', /^\/custompages\/([^/]+)$/, ({ params }) => {
+  const page = getCustomPage(params[0]);
+  const pages = getCustomPages();
+  pages.splice(pages.indexOf(page), 1);
+  persist();
+  return [204];
+});
+
+// Changelog (not versioned, newest first)
+route('GET', /^\/changelogs$/, ({ query }) => {
+  const perPage = Math.min(Math.max(Number(query.get('perPage')) || 10, 1), 100);
+  const page = Math.max(Number(query.get('page')) || 1, 1);
+  const all = [...getChangelogs()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return [200, all.slice((page - 1) * perPage, page * perPage), { 'x-total-count': String(all.length) }];
+});
+
+route('POST', /^\/changelogs$/, ({ body }) => {
+  if (!body.title) throw new HttpError(400, 'CHANGELOG_INVALID', 'The changelog title is required.');
+  checkChangelogType(body.type);
+  // ReadMe sets the creation date itself.
+  const entry = addChangelog(getChangelogs(), { ...body, slug: body.slug ? String(body.slug).toLowerCase() : null, createdAt: null });
+  persist();
+  return [201, entry];
+});
+
+route('GET', /^\/changelogs\/([^/]+)$/, ({ params }) => [200, getChangelog(params[0])]);
+
+route('PUT', /^\/changelogs\/([^/]+)$/, ({ params, body }) => {
+  const entry = getChangelog(params[0]);
+  checkChangelogType(body.type);
+  for (const key of ['title', 'type', 'body']) {
+    if (body[key] !== undefined) entry[key] = body[key];
+  }
+  if (body.hidden !== undefined) entry.hidden = !!body.hidden;
+  entry.updatedAt = new Date().toISOString();
+  persist();
+  return [200, entry];
+});
+
+route('DELETE', /^\/changelogs\/([^/]+)$/, ({ params }) => {
+  const entry = getChangelog(params[0]);
+  const changelogs = getChangelogs();
+  changelogs.splice(changelogs.indexOf(entry), 1);
+  persist();
+  return [204];
+});
+
+// Emulator-only helpers for integration checks
+route('GET', /^\/__emulator\/state$/, () => [200, getState()]);
+route('POST', /^\/__emulator\/reset$/, () => {
+  resetState();
+  return [200, { reset: true }];
+});
+
+// ---------------------------
+// Server
+// ---------------------------
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new HttpError(400, 'INVALID_JSON', 'The request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function checkAuth(req, apiKey) {
+  const header = req.headers.authorization || '';
+  const user = header.startsWith('Basic ') ? Buffer.from(header.slice(6), 'base64').toString('utf8').split(':')[0] : '';
+  if (!user) throw new HttpError(401, 'APIKEY_EMPTY', 'An API key was not supplied.');
+  if (apiKey && user !== apiKey) throw new HttpError(401, 'APIKEY_NOTFOUND', "We couldn't find your API key.");
+}
+
+/**
+ * Creates the emulator HTTP server.
+ * @param {object} options
+ * @param {string|null} options.apiKey Only accept this key. Any non-empty key is accepted when null.
+ * @param {boolean} options.quiet Do not log requests.
+ */
+export function createServer({ apiKey = null, quiet = false } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/^\/api\/v1(?=\/|$)/, '').replace(/\/$/, '') || '/';
+    const send = (status, data, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(status === 204 || data === undefined ? undefined : JSON.stringify(data));
+      if (!quiet) console.log(`${req.method} ${url.pathname}${req.headers['x-readme-version'] ? ` [${req.headers['x-readme-version']}]` : ''} → ${status}`);
+    };
+
+    try {
+      const match = routes
+        .map(r => ({ ...r, params: r.method === req.method && pathname.match(r.pattern) }))
+        .find(r => r.params);
+      if (!match) throw new HttpError(404, 'ROUTE_NOTFOUND', `${req.method} ${pathname} is not emulated.`);
+
+      if (!pathname.startsWith('/__emulator')) checkAuth(req, apiKey);
+      // Content routes are scoped by the x-readme-version header (the stable version by default).
+      const isVersionRoute = pathname.startsWith('/version');
+      const version = isVersionRoute ? null : findVersion(req.headers['x-readme-version']);
+      if (!isVersionRoute && !version) throw notFound('VERSION_NOTFOUND', 'version');
+
+      const [status, data, headers] = await match.handler({
+        params: match.params.slice(1).map(decodeURIComponent),
+        query: url.searchParams,
+        body: await readBody(req),
+        version,
+        content: version ? getContent(version) : null,
+      });
+      send(status, data, headers);
+    } catch (e) {
+      if (e instanceof HttpError) send(e.status, { error: e.code, message: e.message });
+      else send(500, { error: 'INTERNAL_ERROR', message: e.message });
+    }
+  });
+}
@@ -0,0 +1,379 @@
+// scripts/readme-emulator/store.mjs
+
+/**
+ * In-memory state of the emulated ReadMe project, optionally persisted to a JSON file.
+ *
+ * State shape:
+ *   { versions: [{ version, codename, is_stable, is_beta, is_hidden, is_deprecated, createdAt }],
+ *     content: { "<version>": { categories: [category], docs: [doc] } },
+ *     customPages: [customPage], changelogs: [changelog] }
+ *
+ * Categories and docs are stored the way the v1 API returns them: docs reference their
+ * category and parent doc by `_id`, never by slug. Custom pages and changelog entries are not
+ * versioned in ReadMe, so every version shares them.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import matter from 'gray-matter';
+import yaml from 'js-yaml';
+import slugifyLib from 'slugify';
+
+export const DEFAULT_VERSION = '1.0';
+
+let state = null;
+let dataFile = null;
+let initialState = null;
+
+export const newId = () => crypto.randomBytes(12).toString('hex');
+
+export const slugify = (s) =>
+  slugifyLib(String(s), { lower: true, strict: true, remove: /[^a-zA-Z0-9\s-]/g });
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+function emptyState(version = DEFAULT_VERSION) {
+  return {
+    versions: [createVersionRecord({ version, is_stable: true })],
+    content: { [version]: { categories: [], docs: [] } },
+    customPages: [],
+    changelogs: [],
+  };
+}
+
+function createVersionRecord({ version, codename = '', is_stable = false, is_beta = false, is_hidden = false, is_deprecated = false }) {
+  return { _id: newId(), version, version_clean: version, codename, is_stable, is_beta, is_hidden, is_deprecated, createdAt: new Date().toISOString() };
+}
+
+// ---------------------------
+// Lifecycle
+// ---------------------------
+
+/**
+ * Loads the state from the data file (if any), or seeds it from an export folder.
+ * A seed always replaces the content of the data file.
+ */
+export async function initStore({ file = null, seedDir = null, defaultVersion = DEFAULT_VERSION } = {}) {
+  dataFile = file ? path.resolve(process.cwd(), file) : null;
+
+  if (seedDir) {
+    state = await seedFromFolder(path.resolve(process.cwd(), seedDir), { defaultVersion });
+  } else if (dataFile && await fs.pathExists(dataFile)) {
+    state = await fs.readJson(dataFile);
+  } else {
+    state = emptyState(defaultVersion);
+  }
+
+  initialState = clone(state);
+  persist();
+  return state;
+}
+
+/** Writes the state to the data file after every change. No-op for in-memory stores. */
+export function persist() {
+  if (!dataFile) return;
+  fs.ensureDirSync(path.dirname(dataFile));
+  const tmpFile = `${dataFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tmpFile, dataFile);
+}
+
+export function getState() {
+  return state;
+}
+
+/** Restores the state the emulator started with (after loading or seeding). */
+export function resetState() {
+  state = clone(initialState);
+  persist();
+}
+
+// ---------------------------
+// Versions
+// ---------------------------
+
+const normalizeVersion = (v) => String(v).replace(/^v/i, '');
+
+export function findVersion(name) {
+  if (!name) return state.versions.find(v => v.is_stable) || state.versions[0];
+  return state.versions.find(v => normalizeVersion(v.version) === normalizeVersion(name)) || null;
+}
+
+export function getContent(version) {
+  return state.content[version.version];
+}
+
+export function createVersion(fields, fromVersion) {
+  const record = createVersionRecord(fields);
+  const forked = clone(getContent(fromVersion));
+  // Like ReadMe, a fork gets new ids for everything, while slugs stay the same.
+  const idMap = new Map();
+  for (const item of [...forked.categories, ...forked.docs]) {
+    const id = newId();
+    idMap.set(item._id, id);
+    item._id = id;
+  }
+  for (const doc of forked.docs) {
+    doc.category = idMap.get(doc.category) || doc.category;
+    doc.parentDoc = doc.parentDoc ? idMap.get(doc.parentDoc) || null : null;
+  }
+  if (record.is_stable) state.versions.forEach(v => { v.is_stable = false; });
+  state.versions.push(record);
+  state.content[record.version] = forked;
+  persist();
+  return record;
+}
+
+export function updateVersion(version, fields) {
+  const oldName = version.version;
+  for (const key of ['codename', 'is_stable', 'is_beta', 'is_hidden', 'is_deprecated']) {
+    if (fields[key] !== undefined) version[key] = fields[key];
+  }
+  if (fields.is_stable) state.versions.forEach(v => { v.is_stable = v === version; });
+  if (fields.version && fields.version !== oldName) {
+    version.version = version.version_clean = fields.version;
+    state.content[fields.version] = state.content[oldName];
+    delete state.content[oldName];
+  }
+  persist();
+  return version;
+}
+
+export function deleteVersion(version) {
+  state.versions = state.versions.filter(v => v !== version);
+  delete state.content[version.version];
+  persist();
+}
+
+// ---------------------------
+// Categories & docs
+// ---------------------------
+
+/** Returns `base`, or `base-1`, `base-2`... if the slug is already taken. */
+export function uniqueSlug(base, taken) {
+  const root = base || 'untitled';
+  let slug = root;
+  for (let i = 1; taken.has(slug); i++) slug = `${root}-${i}`;
+  return slug;
+}
+
+export function addCategory(content, { title, type = 'guide', slug = null, order = null }) {
+  const category = {
+    _id: newId(),
+    title,
+    slug: uniqueSlug(slug || slugify(title), new Set(content.categories.map(c => c.slug))),
+    order: order ?? content.categories.length,
+    reference: type === 'reference',
+    type,
+    createdAt: new Date().toISOString(),
+  };
+  content.categories.push(category);
+  return category;
+}
+
+export function addDoc(content, fields) {
+  const now = new Date().toISOString();
+  const doc = {
+    _id: newId(),
+    title: fields.title,
+    slug: uniqueSlug(fields.slug || slugify(fields.title), new Set(content.docs.map(d => d.slug))),
+    body: fields.body ?? '',
+    excerpt: fields.excerpt ?? '',
+    hidden: !!fields.hidden,
+    order: fields.order ?? 999,
+    type: fields.type || 'basic',
+    category: fields.category,
+    parentDoc: fields.parentDoc || null,
+    createdAt: now,
+    updatedAt: now,
+  };
+  content.docs.push(doc);
+  return doc;
+}
+
+// ---------------------------
+// Custom pages
+// ---------------------------
+
+export function getCustomPages() {
+  // Data files saved before custom pages were emulated do not have them.
+  if (!state.customPages) state.customPages = [];
+  return state.customPages;
+}
+
+export function addCustomPage(pages, fields) {
+  const now = new Date().toISOString();
+  const page = {
+    _id: newId(),
+    title: fields.title,
+    slug: uniqueSlug(fields.slug || slugify(fields.title), new Set(pages.map(p => p.slug))),
+    body: fields.body ?? '',
+    html: fields.html ?? '',
+    htmlmode: !!fields.htmlmode,
+    hidden: fields.hidden ?? true, // ReadMe creates custom pages hidden unless told otherwise
+    createdAt: now,
+    updatedAt: now,
+  };
+  pages.push(page);
+  return page;
+}
+
+// ---------------------------
+// Changelog
+// ---------------------------
+
+export const CHANGELOG_TYPES = ['', 'added', 'improved', 'fixed', 'deprecated', 'removed'];
+
+export function getChangelogs() {
+  // Data files saved before the changelog was emulated do not have it.
+  if (!state.changelogs) state.changelogs = [];
+  return state.changelogs;
+}
+
+export function addChangelog(changelogs, fields) {
+  const now = new Date().toISOString();
+  const entry = {
+    _id: newId(),
+    title: fields.title,
+    slug: uniqueSlug(fields.slug || slugify(fields.title), new Set(changelogs.map(c => c.slug))),
+    type: fields.type || '',
+    body: fields.body ?? '',
+    hidden: fields.hidden ?? true, // Like custom pages, new entries are hidden unless told otherwise
+    createdAt: fields.createdAt || now,
+    updatedAt: now,
+  };
+  changelogs.push(entry);
+  return entry;
+}
+
+// ---------------------------
+// Seeding from a ReadMe export (or a docs-as-code `docs/` folder)
+// ---------------------------
+
+const isVersionFolder = (name) => /^v?\d+(\.\d+)*$/i.test(name);
+const isContentEntry = (entry) => !entry.name.startsWith('.') && !entry.name.startsWith('_');
+
+/**
+ * Builds a state from an export folder. The folder can contain one sub-folder per version
+ * (as in the ReadMe export zip), or the category folders of a single version. Custom pages
+ * are read from its `_pages` folder, and changelog entries from its `_changelog` folder.
+ */
+export async function seedFromFolder(rootDir, { defaultVersion = DEFAULT_VERSION } = {}) {
+  if (!(await fs.pathExists(rootDir))) throw new Error(`Seed folder not found: ${rootDir}`);
+
+  const dirs = (await fs.readdir(rootDir, { withFileTypes: true })).filter(e => e.isDirectory() && isContentEntry(e));
+  const versionDirs = dirs.length > 0 && dirs.every(e => isVersionFolder(e.name)) ? dirs.map(e => e.name) : null;
+
+  if (!versionDirs) {
+    const seeded = emptyState(defaultVersion);
+    await seedVersionContent(rootDir, seeded.content[defaultVersion]);
+    await seedCustomPages(path.join(rootDir, '_pages'), seeded.customPages);
+    await seedChangelogs(path.join(rootDir, '_changelog'), seeded.changelogs);
+    return seeded;
+  }
+
+  // The highest version number becomes the stable (default) version.
+  const sorted = versionDirs
+    .map(name => ({ name, version: normalizeVersion(name) }))
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  const seeded = { versions: [], content: {}, customPages: [], changelogs: [] };
+  for (const { name, version } of sorted) {
+    seeded.versions.push(createVersionRecord({ version, is_stable: version === sorted[sorted.length - 1].version }));
+    seeded.content[version] = { categories: [], docs: [] };
+    await seedVersionContent(path.join(rootDir, name), seeded.content[version]);
+  }
+  await seedCustomPages(path.join(rootDir, '_pages'), seeded.customPages);
+  await seedChangelogs(path.join(rootDir, '_changelog'), seeded.changelogs);
+  return seeded;
+}
+
+async function seedCustomPages(pagesDir, pages) {
+  if (!(await fs.pathExists(pagesDir))) return;
+  for (const absPath of await listMarkdownFiles(pagesDir)) {
+    const { data: fm, content: body } = matter(await fs.readFile(absPath, 'utf8'));
+    const baseName = path.basename(absPath).replace(/\.mdx?$/, '');
+    addCustomPage(pages, {
+      title: fm.title || baseName,
+      slug: String(fm.slug || slugify(baseName)).toLowerCase(),
+      [fm.htmlmode ? 'html' : 'body']: body.trim(),
+      htmlmode: !!fm.htmlmode,
+      hidden: !!fm.hidden,
+    });
+  }
+}
+
+async function listMarkdownFiles(dir) {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    if (!isContentEntry(entry)) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...await listMarkdownFiles(full));
+    else if (/\.mdx?$/.test(entry.name)) out.push(full);
+  }
+  return out;
+}
+
+async function seedVersionContent(versionDir, content) {
+  const categoryDirs = (await fs.readdir(versionDir, { withFileTypes: true }))
+    .filter(e => e.isDirectory() && isContentEntry(e) && e.name !== 'assets');
+
+  for (const dirEntry of categoryDirs) {
+    const categoryDir = path.join(versionDir, dirEntry.name);
+    const ymlPath = path.join(categoryDir, '_category.yml');
+    const meta = await fs.pathExists(ymlPath) ? yaml.load(await fs.readFile(ymlPath, 'utf8')) || {} : {};
+    const category = addCategory(content, {
+      title: meta.title || dirEntry.name,
+      slug: meta.slug ? String(meta.slug).toLowerCase() : null,
+      type: meta.type || 'guide',
+    });
+
+    // First pass: create every doc. Second pass: link parents, from front matter or from the
+    // folder layout (`parent.md` next to a `parent/` folder holding its children).
+    const files = await listMarkdownFiles(categoryDir);
+    const seeded = [];
+    for (const [index, absPath] of files.entries()) {
+      const { data: fm, content: body } = matter(await fs.readFile(absPath, 'utf8'));
+      const baseName = path.basename(absPath).replace(/\.mdx?$/, '');
+      const doc = addDoc(content, {
+        title: fm.title || baseName,
+        slug: String(fm.slug || slugify(baseName)).toLowerCase(),
+        body: body.trim(),
+        excerpt: fm.excerpt || '',
+        hidden: !!fm.hidden,
+        order: typeof fm.order === 'number' ? fm.order : index,
+        category: category._id,
+      });
+      seeded.push({ doc, absPath, parent: fm.parent || fm.parentDoc || null });
+    }
+
+    const slugByPath = new Map(seeded.map(({ doc, absPath }) => [absPath.replace(/\.mdx?$/, ''), doc.slug]));
+    for (const entry of seeded) {
+      const folder = path.dirname(entry.absPath);
+      const parentSlug = entry.parent
+        ? String(entry.parent).toLowerCase()
+        : folder !== categoryDir ? slugByPath.get(folder) || slugify(path.basename(folder)) : null;
+      if (!parentSlug) continue;
+      const parent = content.docs.find(d => d.slug === parentSlug && d.category === category._id);
+      if (parent && parent !== entry.doc) entry.doc.parentDoc = parent._id;
+      else console.warn(`⚠️  Seed: parent "${parentSlug}" of ${path.relative(process.cwd(), entry.absPath)} was not found in category ${category.slug}.`);
+    }
+  }
+}
+
+// Entries are named after their date (2024-06-01-new-sdk.md), which becomes their creation date.
+async function seedChangelogs(changelogDir, changelogs) {
+  if (!(await fs.pathExists(changelogDir))) return;
+  for (const absPath of await listMarkdownFiles(changelogDir)) {
+    const { data: fm, content: body } = matter(await fs.readFile(absPath, 'utf8'));
+    const baseName = path.basename(absPath).replace(/\.mdx?$/, '');
+    const date = baseName.match(/^(\d{4}-\d{2}-\d{2})-/)?.[1];
+    addChangelog(changelogs, {
+      title: fm.title || baseName,
+      slug: fm.slug ? String(fm.slug).toLowerCase() : null,
+      type: fm.type || '',
+      body: body.trim(),
+      hidden: !!fm.hidden,
+      createdAt: date ? new Date(`${date}T00:00:00.000Z`).toISOString() : null,
+    });
+  }
+}